@@ -0,0 +1,335 @@
+import fs from "node:fs";
+import EventEmitter from "node:events";
+import {setTimeout as sleep} from "node:timers/promises";
+import {LogStream} from "./LogStream.js";
+
+export type HttpSinkOptions = {
+  /**
+   * Endpoint the lines are POSTed to as NDJSON
+   */
+  url: string
+  /**
+   * Additional request headers, e.g. for authentication
+   */
+  headers?: Record<string, string>
+  /**
+   * Maximum number of lines per request, a full batch is sent right away
+   * @default 100
+   */
+  batchSize?: number
+  /**
+   * Time in ms after which a partial batch is sent
+   * @default 1000
+   */
+  flushInterval?: number
+  /**
+   * Retries of a failed request before its batch is spooled or dropped
+   * @default 5
+   */
+  maxRetries?: number
+  /**
+   * Delay in ms before the first retry, doubled for every further retry
+   * @default 500
+   */
+  retryDelay?: number
+  /**
+   * Timeout in ms per request
+   * @default 10000
+   */
+  timeout?: number
+  /**
+   * File that batches are written to while the endpoint is down, sent again once it is back.
+   * Without a spool file, batches that still fail after all retries are dropped.
+   */
+  spoolFile?: string
+  /**
+   * Number of lines held in memory while waiting to be sent, further lines are spooled or dropped
+   * @default 10000
+   */
+  maxBufferedLines?: number
+}
+
+export type HttpSinkEvents = {
+  sent: [lines: number]
+  retry: [attempt: number, error: Error]
+  spooled: [lines: number]
+  replayed: [lines: number]
+  dropped: [droppedLines: number]
+}
+
+const assertPositiveInteger = (name: string, value: number, min: number): void => {
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`HttpSink: ${name} must be an integer >= ${min}`);
+  }
+}
+
+/**
+ * Batches log lines and POSTs them as NDJSON to an HTTP endpoint (e.g. a Loki or Elasticsearch compatible ingest).
+ * Failed requests are retried with exponential backoff; batches that still fail go to an optional disk spool
+ * (a LogStream), which is sent again once the endpoint is reachable.
+ */
+export class HttpSink {
+  static #instances: Record<string, HttpSink> = {};
+
+  readonly #url: string;
+
+  readonly #headers: Record<string, string>;
+
+  readonly #batchSize: number;
+
+  readonly #flushInterval: number;
+
+  readonly #maxRetries: number;
+
+  readonly #retryDelay: number;
+
+  readonly #timeout: number;
+
+  readonly #maxBufferedLines: number;
+
+  readonly #spoolFile: string | undefined;
+
+  readonly #spool: LogStream | null = null;
+
+  #lines: string[] = [];
+
+  #flushTimer: NodeJS.Timeout | null = null;
+
+  #sending: Promise<void> = Promise.resolve();
+
+  #endpointDown: boolean = false;
+
+  #spoolPending: boolean = false;
+
+  #closed: boolean = false;
+
+  #sentLines: number = 0;
+
+  #droppedLines: number = 0;
+
+  #eventEmitter: EventEmitter<HttpSinkEvents> = new EventEmitter()
+
+  constructor(options: HttpSinkOptions) {
+    const {
+      url,
+      headers = {},
+      batchSize = 100,
+      flushInterval = 1000,
+      maxRetries = 5,
+      retryDelay = 500,
+      timeout = 10000,
+      spoolFile,
+      maxBufferedLines = 10000
+    } = options;
+
+    try {
+      if (!['http:', 'https:'].includes(new URL(url).protocol)) throw new Error();
+    } catch {
+      throw new Error('HttpSink: url must be a valid http(s) URL');
+    }
+
+    assertPositiveInteger('batchSize', batchSize, 1);
+    assertPositiveInteger('flushInterval', flushInterval, 1);
+    assertPositiveInteger('maxRetries', maxRetries, 0);
+    assertPositiveInteger('retryDelay', retryDelay, 0);
+    assertPositiveInteger('timeout', timeout, 1);
+    assertPositiveInteger('maxBufferedLines', maxBufferedLines, 1);
+
+    this.#url = url;
+    this.#headers = headers;
+    this.#batchSize = batchSize;
+    this.#flushInterval = flushInterval;
+    this.#maxRetries = maxRetries;
+    this.#retryDelay = retryDelay;
+    this.#timeout = timeout;
+    this.#maxBufferedLines = maxBufferedLines;
+    this.#spoolFile = spoolFile;
+
+    if (spoolFile) {
+      // lines left over from a previous run are sent with the next flush
+      this.#spoolPending = fs.existsSync(spoolFile) && fs.statSync(spoolFile).size > 0;
+      this.#spool = LogStream.create({logFilePath: spoolFile, createDirectory: true});
+    }
+  }
+
+  /**
+   * Returns the shared instance for the given options, so identical sinks use a single batch queue.
+   */
+  static create(options: HttpSinkOptions): HttpSink {
+    return this.#instances[JSON.stringify(options)] ??= new HttpSink(options);
+  }
+
+  /**
+   * Sends everything buffered by all sinks, e.g. before the process exits on graceful shutdown.
+   */
+  static async flushAll(): Promise<void> {
+    await Promise.all(Object.values(this.#instances).map(instance => instance.flush()));
+  }
+
+  static async reset(): Promise<void> {
+    const instances = Object.values(this.#instances);
+    this.#instances = {};
+    await Promise.all(instances.map(instance => instance.close()));
+  }
+
+  get eventEmitter(): EventEmitter<HttpSinkEvents> {
+    return this.#eventEmitter
+  }
+
+  get bufferedLines(): number {
+    return this.#lines.length;
+  }
+
+  get sentLines(): number {
+    return this.#sentLines;
+  }
+
+  get droppedLines(): number {
+    return this.#droppedLines;
+  }
+
+  /**
+   * True after a batch failed all retries and was spooled, until the spool could be sent again.
+   * Always false without a spool file, every flush tries the endpoint again.
+   */
+  get endpointDown(): boolean {
+    return this.#endpointDown;
+  }
+
+  /**
+   * Queues a log line. The callback is invoked right away, sending happens in the background.
+   */
+  write(chunk: string | Buffer, callback: () => void): void {
+    if (this.#closed) return callback();
+
+    const text = chunk.toString();
+    const line = text.endsWith('\n') ? text : `${text}\n`;
+    if (this.#lines.length < this.#maxBufferedLines) {
+      this.#lines.push(line);
+    } else {
+      this.#spoolOrDrop([line]);
+    }
+
+    if (this.#lines.length >= this.#batchSize) {
+      void this.flush();
+    } else {
+      this.#flushTimer ??= setTimeout(() => void this.flush(), this.#flushInterval);
+    }
+
+    callback();
+  }
+
+  /**
+   * Sends all lines buffered so far. Resolves once they were sent, spooled or dropped.
+   */
+  flush(): Promise<void> {
+    if (this.#flushTimer) clearTimeout(this.#flushTimer);
+    this.#flushTimer = null;
+
+    this.#sending = this.#sending.then(() => this.#sendBuffered()).catch((err: Error) => {
+      process.stderr.write(`accessLogMiddleware: failed to ship log lines to ${this.#url}: ${err.message}\n`);
+    });
+    return this.#sending;
+  }
+
+  async #sendBuffered(): Promise<void> {
+    await this.#replaySpool();
+
+    // once a batch failed all retries, the rest of this flush is spooled or dropped right away
+    let failed = this.#endpointDown;
+
+    while (this.#lines.length) {
+      const batch = this.#lines.splice(0, this.#batchSize);
+
+      if (failed || !await this.#post(batch, this.#maxRetries)) {
+        failed = true;
+        this.#endpointDown = !!this.#spool;
+        this.#spoolOrDrop(batch);
+      }
+    }
+  }
+
+  async #post(batch: string[], retries: number): Promise<boolean> {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetch(this.#url, {
+          method: 'POST',
+          headers: {'content-type': 'application/x-ndjson', ...this.#headers},
+          body: batch.join(''),
+          signal: AbortSignal.timeout(this.#timeout),
+        });
+        await response.body?.cancel();
+
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        this.#sentLines += batch.length;
+        this.#eventEmitter.emit('sent', batch.length);
+        return true;
+      } catch (err) {
+        if (attempt >= retries) return false;
+        this.#eventEmitter.emit('retry', attempt + 1, err as Error);
+        await sleep(this.#retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  #spoolOrDrop(batch: string[]): void {
+    if (this.#spool) {
+      batch.forEach(line => this.#spool!.write(line, () => {}));
+      this.#spoolPending = true;
+      this.#eventEmitter.emit('spooled', batch.length);
+      return;
+    }
+
+    this.#droppedLines += batch.length;
+    this.#eventEmitter.emit('dropped', this.#droppedLines);
+  }
+
+  /**
+   * Sends the spooled lines with a single attempt per batch. The spool file is moved aside first,
+   * so lines spooled in the meantime go to a fresh file; unsent lines stay in the moved file for the next try.
+   */
+  async #replaySpool(): Promise<void> {
+    const spool = this.#spool;
+    if (!spool || !this.#spoolFile) return;
+
+    const sendingFile = `${this.#spoolFile}.sending`;
+
+    for (;;) {
+      if (!fs.existsSync(sendingFile)) {
+        if (!this.#spoolPending) {
+          this.#endpointDown = false;
+          return;
+        }
+        // lines still being written end up in the moved file, reopen waits for them
+        fs.renameSync(this.#spoolFile, sendingFile);
+        this.#spoolPending = false;
+        await spool.reopen();
+      }
+
+      const lines = (await fs.promises.readFile(sendingFile, 'utf-8')).split(/(?<=\n)/).filter(Boolean);
+
+      for (let offset = 0; offset < lines.length; offset += this.#batchSize) {
+        if (!await this.#post(lines.slice(offset, offset + this.#batchSize), 0)) {
+          await fs.promises.writeFile(sendingFile, lines.slice(offset).join(''));
+          this.#endpointDown = true;
+          return;
+        }
+      }
+
+      await fs.promises.rm(sendingFile, {force: true});
+      this.#eventEmitter.emit('replayed', lines.length);
+    }
+  }
+
+  /**
+   * Flushes the remaining lines and stops accepting new ones.
+   */
+  async close(): Promise<void> {
+    await this.flush();
+    this.#closed = true;
+    if (this.#spool) {
+      LogStream.remove(this.#spool);
+    }
+  }
+}
@@ -1,19 +1,107 @@
 import fs from "fs";
 import {basename, dirname} from "node:path";
 import EventEmitter from "node:events";
+import {nextRotationPath, pruneLogFiles, removeStaleArchives} from "./logRotation.js";
+import {compressedExtensions, compressLogFile, type LogCompression} from "./compressLogFile.js";
 
 export type LogStreamOptions = {
   logFilePath: string
   createDirectory: boolean
   maxRecreateAttempts?: number
+  /**
+   * Rotate the file to the next numeric suffix (.1, .2, …) once it would grow beyond this many bytes
+   */
+  maxSize?: number
+  /**
+   * Maximum number of old log files to keep in the log directory (the open file is not counted)
+   */
+  maxFiles?: number
+  /**
+   * Delete old log files in the log directory that were last modified more than this many days ago
+   */
+  maxAgeDays?: number
+  /**
+   * Filename template logFilePath was created from (e.g. "access_log_%Y_%m_%d.log"). maxFiles and maxAgeDays
+   * only apply to the files of this family; without it only rotations of logFilePath itself are pruned.
+   */
+  filenameTemplate?: string
+  /**
+   * Compress files in the background once they are rotated by size or removed via LogStream.remove()
+   */
+  compress?: LogCompression
+  /**
+   * Number of lines held in memory while no file stream is open (e.g. during recreation).
+   * Lines beyond this limit are dropped and reported via the "dropped" event.
+   */
+  maxBufferedLines?: number
+}
+
+export type LogStreamStats = {
+  /**
+   * Path of the current log file
+   */
+  path: string
+  /**
+   * True while a file stream is open and writable
+   */
+  open: boolean
+  /**
+   * True once recreating the stream failed maxRecreateAttempts times in a row
+   */
+  exhausted: boolean
+  bytesWritten: number
+  linesWritten: number
+  /**
+   * Number of writes that had to wait for "drain"
+   */
+  backpressureWaits: number
+  /**
+   * Total number of recreate attempts since the stream was created
+   */
+  recreateCount: number
+  droppedLines: number
+  bufferedLines: number
+  /**
+   * Time of the last write that reached the file
+   */
+  lastWriteAt: Date | null
+}
+
+export type LogStreamEvents = {
+  open: [path: string]
+  close: [path: string]
+  /**
+   * Only emitted when there is a listener, so unhandled stream errors never throw
+   */
+  error: [err: Error, path: string]
+  rotate: [rotatedPath: string]
+  reopen: [path: string]
+  recreate: [attempt: number]
+  recreateExhausted: [path: string]
+  dropped: [droppedLines: number, path: string]
+  prune: [removed: string[]]
+  compressStart: [path: string]
+  compressEnd: [path: string, target: string]
+  compressError: [err: Error, path: string]
+}
+
+const assertPositive = (name: string, value: number | undefined): void => {
+  if (value !== undefined && (typeof value !== 'number' || !(value > 0))) {
+    throw new Error(`LogStream: ${name} must be a number > 0`);
+  }
 }
 
 export class LogStream {
   static #instances: Record<string, LogStream> = {};
 
+  static #signalHandlers: Map<NodeJS.Signals, () => void> = new Map();
 
   static readonly #defaultMaxRecreateAttempts: number = 3;
 
+  static readonly #defaultMaxBufferedLines: number = 1000;
+
+  static readonly #recreateRetryDelay: number = 1000;
+
   readonly #maxRecreateAttempts: number = 0;
 
   #recreateAttempts: number = 0;
@@ -26,22 +114,108 @@ export class LogStream {
 
   readonly #logFilePath: string;
 
+  readonly #maxSize: number | undefined;
+
+  readonly #maxFiles: number | undefined;
+
+  readonly #maxAgeDays: number | undefined;
+
+  readonly #filenameTemplate: string | undefined;
+
+  readonly #compress: LogCompression | undefined;
+
+  #size: number = 0;
+
+  readonly #maxBufferedLines: number;
+
+  #buffer: (string | Buffer)[] = [];
+
+  #droppedLines: number = 0;
+
+  #recreateTimer: NodeJS.Timeout | null = null;
+
+  #exhausted: boolean = false;
+
+  #bytesWritten: number = 0;
+
+  #linesWritten: number = 0;
+
+  #backpressureWaits: number = 0;
+
+  #recreateCount: number = 0;
+
+  #lastWriteAt: Date | null = null;
+
   constructor(options: LogStreamOptions) {
+    assertPositive('maxSize', options.maxSize);
+    assertPositive('maxFiles', options.maxFiles);
+    assertPositive('maxAgeDays', options.maxAgeDays);
+    if (options.maxBufferedLines !== undefined && (!Number.isInteger(options.maxBufferedLines) || options.maxBufferedLines < 0)) {
+      throw new Error('LogStream: maxBufferedLines must be an integer >= 0');
+    }
+    if (options.compress !== undefined && !Object.hasOwn(compressedExtensions, options.compress)) {
+      throw new Error('LogStream: compress must be "gzip" or "brotli"');
+    }
+
     this.#logFilePath = options.logFilePath;
     this.#createDirectory = options.createDirectory;
     this.#maxRecreateAttempts = options.maxRecreateAttempts ?? LogStream.#defaultMaxRecreateAttempts;
+    this.#maxSize = options.maxSize;
+    this.#maxFiles = options.maxFiles;
+    this.#maxAgeDays = options.maxAgeDays;
+    this.#filenameTemplate = options.filenameTemplate;
+    this.#compress = options.compress;
+    this.#maxBufferedLines = options.maxBufferedLines ?? LogStream.#defaultMaxBufferedLines;
 
     this.#create();
+    this.#recoverStaleArchives();
   }
 
   static create(options: LogStreamOptions): LogStream {
     return this.#instances[options.logFilePath] ??= new LogStream(options);
   }
 
+  /**
+   * Reopens every active instance, e.g. after an external logrotate moved or truncated the files.
+   */
+  static async reopenAll(): Promise<void> {
+    await Promise.all(Object.values(this.#instances).map(instance => instance.reopen()));
+  }
+
+  /**
+   * Reopens all active instances whenever the process receives the given signal (opt-in).
+   * Installing the same signal twice keeps a single handler.
+   *
+   * @param signal - Signal to listen for. Defaults to 'SIGHUP', as sent by logrotate's postrotate script.
+   * @param _process - Overridable process instance — used for testing only.
+   * @returns Function that removes the handler again.
+   */
+  static reopenOnSignal(signal: NodeJS.Signals = 'SIGHUP', _process: NodeJS.Process = process): () => void {
+    const existing = this.#signalHandlers.get(signal);
+    if (existing) return existing;
+
+    const handler = () => {
+      this.reopenAll().catch((err: Error) => {
+        process.stderr.write(`accessLogMiddleware: failed to reopen log streams on ${signal}: ${err.message}\n`);
+      });
+    };
+
+    const remove = () => {
+      _process.off(signal, handler);
+      this.#signalHandlers.delete(signal);
+    };
+
+    _process.on(signal, handler);
+    this.#signalHandlers.set(signal, remove);
+    return remove;
+  }
+
   static remove(logStream: LogStream | null): void {
     if (!logStream) return;
-    void this.#instances[logStream.#logFilePath]?.close();
+    const instance = this.#instances[logStream.#logFilePath];
     delete this.#instances[logStream.#logFilePath];
+    if (!instance) return;
+    void instance.close().then(() => instance.#compressFile(instance.#logFilePath));
   }
 
   #create(): void {
@@ -55,45 +229,219 @@ export class LogStream {
       throw new Error(`LogStream: directory is not writable: ${dirname(this.#logFilePath)}`);
     }
 
-    this.#stream = fs.createWriteStream(this.#logFilePath, {flags: "a"});
+    try {
+      this.#size = fs.statSync(this.#logFilePath).size;
+    } catch {
+      this.#size = 0;
+    }
+
+    // open synchronously so the file exists (and can be rotated) before the first write
+    this.#stream = fs.createWriteStream(this.#logFilePath, {fd: fs.openSync(this.#logFilePath, "a")});
 
     this.#stream.on("error", (err: NodeJS.ErrnoException) => {
+      if (this.#eventEmitter.listenerCount('error') > 0) {
+        this.#eventEmitter.emit('error', err, this.#logFilePath);
+      }
       if (err.code && ["ENOENT", "EPIPE"].includes(err.code)) {
         this.#recreate();
       }
     });
 
     this.#watcher = fs.watch(dirname(this.#logFilePath), async (_event, filename) => {
-      if (!filename || filename === basename(this.#logFilePath)) {
+      // the directory watcher also reports plain writes, only a missing file needs a new stream
+      if ((!filename || filename === basename(this.#logFilePath)) && !fs.existsSync(this.#logFilePath)) {
         this.#recreate();
       }
     });
+
+    this.#exhausted = false;
+    this.#eventEmitter.emit('open', this.#logFilePath);
+
+    this.#prune();
+    this.#flushBuffer();
   }
 
-  #eventEmitter: EventEmitter = new EventEmitter()
+  #flushBuffer(): void {
+    const buffer = this.#buffer;
+    this.#buffer = [];
+    buffer.forEach(chunk => this.#writeChunk(chunk));
+  }
+
+  #bufferChunk(chunk: string | Buffer): void {
+    if (this.#buffer.length < this.#maxBufferedLines) {
+      this.#buffer.push(chunk);
+      return;
+    }
 
-  get eventEmitter(): EventEmitter {
+    this.#droppedLines++;
+    this.#eventEmitter.emit('dropped', this.#droppedLines, this.#logFilePath);
+  }
+
+  #writeChunk(chunk: string | Buffer): boolean {
+    const stream = this.#stream;
+    if (!stream?.writable) {
+      this.#bufferChunk(chunk);
+      return true;
+    }
+
+    const bytes = Buffer.byteLength(chunk);
+    this.#size += bytes;
+    return stream.write(chunk, err => {
+      if (err) return;
+      this.#bytesWritten += bytes;
+      this.#linesWritten++;
+      this.#lastWriteAt = new Date();
+    });
+  }
+
+  #prune(): void {
+    if (!this.#maxFiles && !this.#maxAgeDays) return;
+
+    pruneLogFiles(this.#logFilePath, {
+      ...(this.#maxFiles && {maxFiles: this.#maxFiles}),
+      ...(this.#maxAgeDays && {maxAgeDays: this.#maxAgeDays}),
+      ...(this.#filenameTemplate && {filenameTemplate: this.#filenameTemplate}),
+      keep: [this.#logFilePath, ...Object.keys(LogStream.#instances)]
+    }).then(removed => {
+      if (removed.length) this.#eventEmitter.emit('prune', removed);
+    }).catch((err: Error) => {
+      process.stderr.write(`accessLogMiddleware: failed to prune old log files for ${this.#logFilePath}: ${err.message}\n`);
+    });
+  }
+
+  /**
+   * Removes unfinished archives of a previous run and compresses the files they belonged to again
+   */
+  #recoverStaleArchives(): void {
+    removeStaleArchives(this.#logFilePath, this.#filenameTemplate).then(originals => {
+      originals
+        .filter(path => path !== this.#logFilePath && !LogStream.#instances[path])
+        .forEach(path => this.#compressFile(path));
+    }).catch((err: Error) => {
+      process.stderr.write(`accessLogMiddleware: failed to remove stale archives for ${this.#logFilePath}: ${err.message}\n`);
+    });
+  }
+
+  #compressFile(path: string): void {
+    const compression = this.#compress;
+    if (!compression) return;
+
+    this.#eventEmitter.emit('compressStart', path);
+    compressLogFile(path, compression).then(target => {
+      this.#eventEmitter.emit('compressEnd', path, target);
+      this.#prune();
+    }).catch((err: Error) => {
+      process.stderr.write(`accessLogMiddleware: failed to compress log file ${path}: ${err.message}\n`);
+      this.#eventEmitter.emit('compressError', err, path);
+    });
+  }
+
+  #rotate(): void {
+    const closed = this.close();
+    let rotatedPath: string | null;
+    try {
+      rotatedPath = nextRotationPath(this.#logFilePath);
+      fs.renameSync(this.#logFilePath, rotatedPath);
+    } catch (err) {
+      // ENOENT: the file or its directory was removed in the meantime
+      if ((err as NodeJS.ErrnoException).code !== 'ENOENT') {
+        process.stderr.write(`accessLogMiddleware: failed to rotate log file ${this.#logFilePath}: ${(err as Error).message}\n`);
+      }
+      rotatedPath = null;
+    }
+
+    try {
+      this.#create();
+    } catch {
+      // lines are buffered until the file can be created again, as in reopen()
+      this.#recreate();
+    }
+
+    if (!rotatedPath) return;
+    const rotated = rotatedPath;
+    this.#eventEmitter.emit('rotate', rotated);
+    void closed.then(() => this.#compressFile(rotated));
+  }
+
+  /**
+   * Writes a chunk to the log file, rotating it first when maxSize would be exceeded.
+   * While no file stream is open, chunks are buffered up to maxBufferedLines and written once it is.
+   * The callback is invoked once the caller may write again (immediately or after "drain").
+   */
+  write(chunk: string | Buffer, callback: () => void): void {
+    if (this.#maxSize && this.#stream && this.#size > 0 && this.#size + Buffer.byteLength(chunk) > this.#maxSize) {
+      this.#rotate();
+    }
+
+    const stream = this.#stream;
+    if (this.#writeChunk(chunk) || !stream) return callback();
+
+    this.#backpressureWaits++;
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      callback();
+    };
+    stream.once('drain', done);
+    stream.once('close', done);
+  }
+
+  #eventEmitter: EventEmitter<LogStreamEvents> = new EventEmitter()
+
+  get eventEmitter(): EventEmitter<LogStreamEvents> {
     return this.#eventEmitter
   }
 
   #recreate(): void {
     if (this.#recreateAttempts >= this.#maxRecreateAttempts) {
       void this.close();
+      this.#exhausted = true;
       process.stderr.write(`accessLogMiddleware: failed to recreate log stream for ${this.#logFilePath} after ${this.#maxRecreateAttempts} attempts\n`);
       this.#eventEmitter.emit('recreateExhausted', this.#logFilePath);
       return;
     }
 
     this.#recreateAttempts++;
+    this.#recreateCount++;
     this.#eventEmitter.emit('recreate', this.#recreateAttempts)
     void this.close();
-    this.#create();
-    this.#recreateAttempts = 0
+
+    try {
+      this.#create();
+      this.#recreateAttempts = 0
+    } catch {
+      // keep buffering and try again, e.g. until the directory becomes writable again
+      this.#recreateTimer = setTimeout(() => {
+        this.#recreateTimer = null;
+        this.#recreate();
+      }, LogStream.#recreateRetryDelay);
+    }
+  }
+
+  /**
+   * Closes the current file descriptor and opens the log file path again.
+   * Supports both logrotate modes: "create" (file was moved away, a new file is created)
+   * and "copytruncate" (file was truncated in place, the size used for maxSize is re-read).
+   * Lines written in the meantime are buffered and written to the reopened file.
+   */
+  async reopen(): Promise<void> {
+    const closed = this.close();
+
+    try {
+      this.#create();
+      this.#recreateAttempts = 0;
+      this.#eventEmitter.emit('reopen', this.#logFilePath);
+    } catch {
+      this.#recreate();
+    }
+
+    await closed;
   }
 
   #closeStreamPromises = new Set()
 
   async close(): Promise<void> {
+    this.#clearRecreateTimer();
     this.#watcher?.close();
     this.#watcher = null;
 
@@ -103,6 +451,7 @@ export class LogStream {
       const promise = new Promise<void>(resolve => {
         stream.end(() => {
           this.#closeStreamPromises.delete(promise)
+          this.#eventEmitter.emit('close', this.#logFilePath)
           resolve()
         })
       })
@@ -112,16 +461,52 @@ export class LogStream {
     await Promise.allSettled([...this.#closeStreamPromises])
   }
 
+  #clearRecreateTimer(): void {
+    if (this.#recreateTimer) clearTimeout(this.#recreateTimer);
+    this.#recreateTimer = null;
+  }
+
+  get droppedLines(): number {
+    return this.#droppedLines;
+  }
+
+  get bufferedLines(): number {
+    return this.#buffer.length;
+  }
+
   get recreateAttempts(): number {
     return this.#recreateAttempts;
   }
 
+  get stats(): LogStreamStats {
+    return {
+      path: this.#logFilePath,
+      open: !!this.#stream?.writable,
+      exhausted: this.#exhausted,
+      bytesWritten: this.#bytesWritten,
+      linesWritten: this.#linesWritten,
+      backpressureWaits: this.#backpressureWaits,
+      recreateCount: this.#recreateCount,
+      droppedLines: this.#droppedLines,
+      bufferedLines: this.#buffer.length,
+      lastWriteAt: this.#lastWriteAt,
+    };
+  }
+
+  /**
+   * Stats of all active instances, e.g. for health checks and metrics.
+   */
+  static getStats(): LogStreamStats[] {
+    return Object.values(this.#instances).map(instance => instance.stats);
+  }
+
   static reset(): void {
     Object.values(this.#instances).forEach(instance => instance.destroy())
     this.#instances = {};
   }
 
   destroy(): void {
+    this.#clearRecreateTimer();
     this.#watcher?.close();
     this.#watcher = null;
     this.#stream?.destroy();
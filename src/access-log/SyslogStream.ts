@@ -0,0 +1,342 @@
+import net from "node:net";
+import dgram from "node:dgram";
+import os from "node:os";
+import EventEmitter from "node:events";
+
+export const syslogFacilities = {
+  kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7,
+  uucp: 8, cron: 9, authpriv: 10, ftp: 11, ntp: 12, security: 13, console: 14, clock: 15,
+  local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+} as const
+
+export const syslogSeverities = {
+  emerg: 0, alert: 1, crit: 2, err: 3, warning: 4, notice: 5, info: 6, debug: 7
+} as const
+
+export type SyslogFacility = keyof typeof syslogFacilities
+export type SyslogSeverity = keyof typeof syslogSeverities
+
+export type SyslogOptions = {
+  /**
+   * "udp" sends one datagram per line, "tcp" and "unix" (stream socket) use octet-counting framing (RFC 6587)
+   * @default "udp"
+   */
+  protocol?: "udp" | "tcp" | "unix"
+  /**
+   * @default "localhost"
+   */
+  host?: string
+  /**
+   * @default 514
+   */
+  port?: number
+  /**
+   * Socket path when protocol is "unix", must be a stream socket: Node.js cannot send to datagram sockets
+   * such as /dev/log on most Linux systems
+   */
+  path?: string
+  /**
+   * @default "local0"
+   */
+  facility?: SyslogFacility
+  /**
+   * @default "info"
+   */
+  severity?: SyslogSeverity
+  /**
+   * @default process.title
+   */
+  appName?: string
+  /**
+   * @default os.hostname()
+   */
+  hostname?: string
+  /**
+   * @default "access"
+   */
+  msgId?: string
+  /**
+   * Attempts to reconnect a lost tcp/unix connection before giving up
+   * @default 10
+   */
+  maxReconnectAttempts?: number
+  /**
+   * Delay in ms before a reconnect, multiplied by the attempt number
+   * @default 1000
+   */
+  reconnectDelay?: number
+  /**
+   * Number of lines held in memory while not connected
+   * @default 1000
+   */
+  maxBufferedLines?: number
+}
+
+export type SyslogStreamEvents = {
+  connect: []
+  reconnect: [attempt: number]
+  reconnectExhausted: []
+  dropped: [droppedLines: number]
+}
+
+/**
+ * Replaces characters not allowed in RFC 5424 header fields and applies the field length limit.
+ */
+const headerField = (value: string, maxLength: number): string =>
+  value.replace(/[^\x21-\x7e]/g, '_').slice(0, maxLength) || '-'
+
+/**
+ * Writes log lines as RFC 5424 messages to a syslog server via UDP, TCP or a Unix domain stream socket.
+ * Lost tcp/unix connections are re-established, lines are buffered in the meantime.
+ */
+export class SyslogStream {
+  static #instances: Record<string, SyslogStream> = {};
+
+  readonly #protocol: "udp" | "tcp" | "unix";
+
+  readonly #host: string;
+
+  readonly #port: number;
+
+  readonly #path: string | undefined;
+
+  readonly #priority: number;
+
+  readonly #headerFields: string;
+
+  readonly #maxReconnectAttempts: number;
+
+  readonly #reconnectDelay: number;
+
+  readonly #maxBufferedLines: number;
+
+  #socket: net.Socket | null = null;
+
+  #udpSocket: dgram.Socket | null = null;
+
+  #connected: boolean = false;
+
+  #closed: boolean = false;
+
+  #reconnectAttempts: number = 0;
+
+  #reconnectTimer: NodeJS.Timeout | null = null;
+
+  #buffer: string[] = [];
+
+  #droppedLines: number = 0;
+
+  #eventEmitter: EventEmitter<SyslogStreamEvents> = new EventEmitter()
+
+  constructor(options: SyslogOptions = {}) {
+    const {
+      protocol = 'udp',
+      host = 'localhost',
+      port = 514,
+      path,
+      facility = 'local0',
+      severity = 'info',
+      appName = process.title,
+      hostname = os.hostname(),
+      msgId = 'access',
+      maxReconnectAttempts = 10,
+      reconnectDelay = 1000,
+      maxBufferedLines = 1000
+    } = options;
+
+    if (!['udp', 'tcp', 'unix'].includes(protocol)) {
+      throw new Error('SyslogStream: protocol must be "udp", "tcp" or "unix"');
+    }
+
+    if (protocol === 'unix' && !path) {
+      throw new Error('SyslogStream: path is required when protocol="unix"');
+    }
+
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+      throw new Error('SyslogStream: port must be a valid port number');
+    }
+
+    if (!Object.hasOwn(syslogFacilities, facility)) {
+      throw new Error(`SyslogStream: unknown facility "${facility}"`);
+    }
+
+    if (!Object.hasOwn(syslogSeverities, severity)) {
+      throw new Error(`SyslogStream: unknown severity "${severity}"`);
+    }
+
+    if (!Number.isInteger(maxReconnectAttempts) || maxReconnectAttempts < 0) {
+      throw new Error('SyslogStream: maxReconnectAttempts must be an integer >= 0');
+    }
+
+    if (typeof reconnectDelay !== 'number' || reconnectDelay < 0) {
+      throw new Error('SyslogStream: reconnectDelay must be a number >= 0');
+    }
+
+    if (!Number.isInteger(maxBufferedLines) || maxBufferedLines < 0) {
+      throw new Error('SyslogStream: maxBufferedLines must be an integer >= 0');
+    }
+
+    this.#protocol = protocol;
+    this.#host = host;
+    this.#port = port;
+    this.#path = path;
+    this.#maxReconnectAttempts = maxReconnectAttempts;
+    this.#reconnectDelay = reconnectDelay;
+    this.#maxBufferedLines = maxBufferedLines;
+
+    this.#priority = syslogFacilities[facility] * 8 + syslogSeverities[severity];
+    this.#headerFields = `${headerField(hostname, 255)} ${headerField(appName, 48)} ${process.pid} ${headerField(msgId, 32)}`;
+
+    this.#connect();
+  }
+
+  /**
+   * Returns the shared instance for the given options, so identical targets use a single connection.
+   */
+  static create(options: SyslogOptions = {}): SyslogStream {
+    return this.#instances[JSON.stringify(options)] ??= new SyslogStream(options);
+  }
+
+  static async reset(): Promise<void> {
+    const instances = Object.values(this.#instances);
+    this.#instances = {};
+    await Promise.all(instances.map(instance => instance.close()));
+  }
+
+  get eventEmitter(): EventEmitter<SyslogStreamEvents> {
+    return this.#eventEmitter
+  }
+
+  get connected(): boolean {
+    return this.#connected;
+  }
+
+  get droppedLines(): number {
+    return this.#droppedLines;
+  }
+
+  get bufferedLines(): number {
+    return this.#buffer.length;
+  }
+
+  get reconnectAttempts(): number {
+    return this.#reconnectAttempts;
+  }
+
+  /**
+   * Formats a log line as RFC 5424 message (without transport framing).
+   */
+  format(line: string): string {
+    // no structured data ("-"), the line is the free-form MSG part
+    return `<${this.#priority}>1 ${new Date().toISOString()} ${this.#headerFields} - ${line.replace(/\r?\n$/, '')}`;
+  }
+
+  #connect(): void {
+    if (this.#protocol === 'udp') {
+      this.#udpSocket = dgram.createSocket(net.isIPv6(this.#host) ? 'udp6' : 'udp4');
+      this.#udpSocket.on('error', () => this.#drop());
+      this.#connected = true;
+      return;
+    }
+
+    const socket = this.#protocol === 'unix'
+      ? net.connect({path: this.#path!})
+      : net.connect({host: this.#host, port: this.#port});
+    this.#socket = socket;
+
+    socket.on('connect', () => {
+      this.#connected = true;
+      this.#reconnectAttempts = 0;
+      this.#eventEmitter.emit('connect');
+      this.#flushBuffer();
+    });
+
+    // errors are followed by "close", which takes care of reconnecting
+    socket.on('error', () => {});
+
+    socket.on('close', () => {
+      this.#connected = false;
+      if (this.#socket === socket) this.#socket = null;
+      if (!this.#closed) this.#reconnect();
+    });
+  }
+
+  #reconnect(): void {
+    if (this.#reconnectAttempts >= this.#maxReconnectAttempts) {
+      process.stderr.write(`accessLogMiddleware: failed to reconnect to syslog after ${this.#maxReconnectAttempts} attempts\n`);
+      this.#eventEmitter.emit('reconnectExhausted');
+      return;
+    }
+
+    this.#reconnectAttempts++;
+    this.#eventEmitter.emit('reconnect', this.#reconnectAttempts);
+    this.#reconnectTimer = setTimeout(() => {
+      this.#reconnectTimer = null;
+      this.#connect();
+    }, this.#reconnectDelay * this.#reconnectAttempts);
+  }
+
+  #drop(): void {
+    this.#droppedLines++;
+    this.#eventEmitter.emit('dropped', this.#droppedLines);
+  }
+
+  #flushBuffer(): void {
+    const buffer = this.#buffer;
+    this.#buffer = [];
+    buffer.forEach(message => this.#send(message, () => {}));
+  }
+
+  #send(message: string, callback: () => void): void {
+    if (this.#udpSocket) {
+      this.#udpSocket.send(message, this.#port, this.#host, err => {
+        if (err) this.#drop();
+      });
+      return callback();
+    }
+
+    const socket = this.#socket;
+    if (!socket || !this.#connected) {
+      if (this.#buffer.length < this.#maxBufferedLines) {
+        this.#buffer.push(message);
+      } else {
+        this.#drop();
+      }
+      return callback();
+    }
+
+    if (socket.write(`${Buffer.byteLength(message)} ${message}`)) return callback();
+
+    const done = () => {
+      socket.off('drain', done);
+      socket.off('close', done);
+      callback();
+    };
+    socket.once('drain', done);
+    socket.once('close', done);
+  }
+
+  /**
+   * Sends a log line to the syslog server.
+   * The callback is invoked once the caller may write again (immediately or after "drain").
+   */
+  write(chunk: string | Buffer, callback: () => void): void {
+    if (this.#closed) return callback();
+    this.#send(this.format(chunk.toString()), callback);
+  }
+
+  async close(): Promise<void> {
+    this.#closed = true;
+    this.#connected = false;
+    if (this.#reconnectTimer) clearTimeout(this.#reconnectTimer);
+    this.#reconnectTimer = null;
+
+    const udpSocket = this.#udpSocket;
+    this.#udpSocket = null;
+    if (udpSocket) await new Promise<void>(resolve => udpSocket.close(() => resolve()));
+
+    const socket = this.#socket;
+    this.#socket = null;
+    if (socket && !socket.destroyed) await new Promise<void>(resolve => socket.end(() => resolve()));
+  }
+}
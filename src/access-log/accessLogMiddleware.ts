@@ -1,86 +1,51 @@
-import fs from "fs";
-import morgan from "morgan";
-import {Writable} from "stream";
 import type e from "express";
+import type {AccessLogOptions} from "./types/types.js";
+import {createDestinationLogger} from "./createDestinationLogger.js";
+import {runMiddlewares} from "../utils/runMiddlewares.js";
 import {LogStream} from "./LogStream.js";
-import {defaultFilename, generateLogPath} from "./generateLogPath.js";
-
-export type AccessLogFilenameFn = () => string
-export type AccessLogOptions = {
-  path?: string
-  format?: "combined" | "dev" | "common" | "tiny"
-  /**
-   * True if the current request should be skipped
-   */
-  skip?: (req: e.Request) => boolean
-  output?: "file" | "stdout" | "stderr"
-  filename?: AccessLogFilenameFn | string
-  enabled?: boolean
-  createDirectory?: boolean
-}
+import {createSlowLogger} from "./createSlowLogger.js";
 
 /**
  * Creates an Express middleware for HTTP access logging using morgan.
- * Supports dynamic log file rotation per day, output to stdout/stderr or file, and conditional skipping.
+ * Supports dynamic log file rotation per day or by size, retention of old files,
+ * output to stdout/stderr or file, multiple destinations at once, conditional skipping
+ * and a separate slow-request log.
  */
 export const accessLogMiddleware = (config?: AccessLogOptions): e.RequestHandler => {
 
-  const finalConfig: Required<Pick<AccessLogOptions, 'output' | 'format' | 'filename'>> & AccessLogOptions = {
-    ...config,
-    output: config?.output ?? 'stdout',
-    format: config?.format ?? 'dev',
-    filename: config?.filename ?? defaultFilename,
-  }
-
   const noop: e.RequestHandler = (_req, _res, next) => next();
-  if (finalConfig.enabled === false) return noop;
-
-  const resolvedFilename =
-    typeof finalConfig.filename === 'string' ?
-      (): string => finalConfig.filename as string
-      : finalConfig.filename
-
-  let currentLogStream: LogStream | null = null;
+  if (config?.enabled === false) return noop;
 
-  const selectLogStream = (): NodeJS.WriteStream | fs.WriteStream | null => {
-    if (finalConfig.output === "stdout") return process.stdout;
-    if (finalConfig.output === "stderr") return process.stderr;
-    if (finalConfig?.output !== "file" || !finalConfig?.path) {
-      throw new Error('accessLogMiddleware: config.path is required when output="file"');
-    }
+  // routes belong to a single destination and are not inherited by the destinations
+  const {destinations, enabled: _enabled, reopenOnSignal, slowLog, routes, ...defaults} = config ?? {};
 
-    const path = generateLogPath(resolvedFilename, finalConfig.path);
-    const newLogStream = LogStream.create({
-      logFilePath: path,
-      createDirectory: finalConfig.createDirectory !== false
-    });
-
-    if (newLogStream !== currentLogStream) {
-      LogStream.remove(currentLogStream);
-      currentLogStream = newLogStream;
-    }
+  if (destinations !== undefined && (!Array.isArray(destinations) || destinations.length === 0)) {
+    throw new Error('accessLogMiddleware: destinations must be a non-empty array');
+  }
 
-    return currentLogStream.writable;
-  };
+  if (destinations !== undefined && routes !== undefined) {
+    throw new Error('accessLogMiddleware: routes must be set on a destination when destinations is used');
+  }
 
-  selectLogStream(); // initialize once
+  const loggers = (destinations ?? [{...(routes !== undefined && {routes})}]).map(destination =>
+    createDestinationLogger({...defaults, ...destination})
+  );
+
+  if (slowLog) {
+    loggers.push(createSlowLogger({
+      ...(defaults.path !== undefined && {path: defaults.path}),
+      ...(defaults.createDirectory !== undefined && {createDirectory: defaults.createDirectory}),
+      ...(defaults.timezone !== undefined && {timezone: defaults.timezone}),
+      ...(defaults.utc !== undefined && {utc: defaults.utc}),
+      ...slowLog
+    }, defaults.redact));
+  }
 
-  const proxyStream = new Writable({
-    write(chunk, encoding, callback) {
-      const accessLogStream = selectLogStream();
-      if (!accessLogStream?.writable) return callback();
-      const canContinue = (accessLogStream as fs.WriteStream).write(chunk, encoding);
+  if (reopenOnSignal) {
+    LogStream.reopenOnSignal(reopenOnSignal === true ? 'SIGHUP' : reopenOnSignal);
+  }
 
-      if (!canContinue) {
-        accessLogStream.once("drain", callback);
-      } else {
-        callback();
-      }
-    },
-  });
+  if (loggers.length === 1) return loggers[0]!;
 
-  return morgan(finalConfig.format, {
-    stream: proxyStream,
-    ...(finalConfig.skip && {skip: finalConfig.skip}),
-  })
+  return (req, res, next) => runMiddlewares(loggers, req, res, next);
 }
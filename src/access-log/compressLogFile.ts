@@ -0,0 +1,45 @@
+import fs from "node:fs";
+import zlib from "node:zlib";
+import {pipeline} from "node:stream/promises";
+
+export type LogCompression = "gzip" | "brotli"
+
+export const compressedExtensions: Record<LogCompression, string> = {
+  gzip: ".gz",
+  brotli: ".br"
+}
+
+const pendingArchives = new Set<string>()
+
+/**
+ * True while compressLogFile writes the given ".tmp" archive in this process
+ */
+export const isPendingArchive = (tmpPath: string): boolean => pendingArchives.has(tmpPath)
+
+/**
+ * Compresses a log file next to itself and removes the original afterwards.
+ * The archive is written to a ".tmp" file first and only renamed once it is complete,
+ * so an interrupted run never leaves a truncated archive behind under its final name.
+ */
+export const compressLogFile = async (path: string, compression: LogCompression): Promise<string> => {
+  const target = `${path}${compressedExtensions[compression]}`;
+  const tmp = `${target}.tmp`;
+
+  pendingArchives.add(tmp);
+  try {
+    await pipeline(
+      fs.createReadStream(path),
+      compression === "gzip" ? zlib.createGzip() : zlib.createBrotliCompress(),
+      fs.createWriteStream(tmp)
+    );
+    await fs.promises.rename(tmp, target);
+  } catch (err) {
+    await fs.promises.rm(tmp, {force: true});
+    throw err;
+  } finally {
+    pendingArchives.delete(tmp);
+  }
+
+  await fs.promises.rm(path, {force: true});
+  return target;
+}
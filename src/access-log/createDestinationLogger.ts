@@ -0,0 +1,166 @@
+import morgan from "morgan";
+import {Writable} from "stream";
+import type EventEmitter from "node:events";
+import type e from "express";
+import {type AccessLogFormatFn, resolveFormat} from "./resolveFormat.js";
+import {builtinTokens, registerTokens} from "./registerTokens.js";
+import type {AccessLogDestination, AccessLogDroppedFn} from "./types/types.js";
+import {SyslogStream} from "./SyslogStream.js";
+import {HttpSink} from "./HttpSink.js";
+import {createSampler} from "./createSampler.js";
+import {redactFormat} from "./redactFormat.js";
+import {createIncompleteTracker} from "./trackIncomplete.js";
+import {createFileTarget} from "./createFileTarget.js";
+import type {LogStream} from "./LogStream.js";
+import {createRouteMatcher} from "./createRouteMatcher.js";
+
+/**
+ * Anything a log line can be written to, the callback signals when the next line may be written.
+ */
+export type LogTarget = {
+  write(chunk: string | Buffer, callback: () => void): void
+}
+
+export const processStreamTarget = (stream: NodeJS.WriteStream): LogTarget => ({
+  write(chunk, callback) {
+    if (!stream.writable) return callback();
+    if (stream.write(chunk)) return callback();
+    stream.once("drain", callback);
+  }
+});
+
+// targets are shared between destinations, every callback is registered once per target
+const droppedCallbacks = new WeakMap<EventEmitter, Set<AccessLogDroppedFn>>();
+
+const reportDropped = (eventEmitter: EventEmitter, target: string, onDropped: AccessLogDroppedFn): void => {
+  const callbacks = droppedCallbacks.get(eventEmitter) ?? new Set();
+  if (callbacks.has(onDropped)) return;
+  droppedCallbacks.set(eventEmitter, callbacks.add(onDropped));
+  eventEmitter.on('dropped', (droppedLines: number) => onDropped(target, droppedLines));
+};
+
+/**
+ * Creates the morgan logger for a single access log destination.
+ */
+export const createDestinationLogger = (config: AccessLogDestination): e.RequestHandler => {
+
+  const finalConfig: Required<Pick<AccessLogDestination, 'output' | 'format'>> & AccessLogDestination = {
+    ...config,
+    output: config.output ?? 'stdout',
+    format: config.format ?? (config.output === 'http' ? 'json' : 'dev'),
+  }
+
+  registerTokens({...builtinTokens, ...finalConfig.tokens});
+  const resolvedFormat = resolveFormat(finalConfig.format, finalConfig.jsonFields);
+  const redactedFormat = finalConfig.redact ? redactFormat(resolvedFormat, finalConfig.redact) : resolvedFormat;
+  const tracker = finalConfig.logIncomplete ? createIncompleteTracker() : null;
+  const format = tracker ? tracker.wrapFormat(redactedFormat) : redactedFormat;
+  const {skip} = finalConfig;
+  const sampler = finalConfig.sample ? createSampler(finalConfig.sample) : undefined;
+
+  const {onDropped} = finalConfig;
+  if (onDropped !== undefined && typeof onDropped !== 'function') {
+    throw new Error('accessLogMiddleware: onDropped must be a function');
+  }
+
+  const createFixedTarget = (): LogTarget | null => {
+    switch (finalConfig.output) {
+      case "stdout":
+        return processStreamTarget(process.stdout);
+      case "stderr":
+        return processStreamTarget(process.stderr);
+      case "syslog": {
+        const syslogStream = SyslogStream.create({
+          ...(finalConfig.maxBufferedLines !== undefined && {maxBufferedLines: finalConfig.maxBufferedLines}),
+          ...finalConfig.syslog
+        });
+        if (onDropped) reportDropped(syslogStream.eventEmitter, 'syslog', onDropped);
+        return syslogStream;
+      }
+      case "http": {
+        if (!finalConfig.http?.url) {
+          throw new Error('accessLogMiddleware: config.http.url is required when output="http"');
+        }
+        const httpSink = HttpSink.create({
+          ...(finalConfig.maxBufferedLines !== undefined && {maxBufferedLines: finalConfig.maxBufferedLines}),
+          ...finalConfig.http
+        });
+        if (onDropped) reportDropped(httpSink.eventEmitter, finalConfig.http.url, onDropped);
+        return httpSink;
+      }
+      default:
+        return null;
+    }
+  };
+
+  // file targets switch to a new LogStream whenever the filename changes
+  const reportFileDropped = (selectLogStream: () => LogStream): () => LogStream => {
+    if (!onDropped) return selectLogStream;
+    let reported: LogStream | null = null;
+    return () => {
+      const logStream = selectLogStream();
+      if (logStream !== reported) reportDropped(logStream.eventEmitter, logStream.stats.path, onDropped);
+      reported = logStream;
+      return logStream;
+    };
+  };
+
+  const fixedTarget = createFixedTarget();
+  const missingPathMessage = 'accessLogMiddleware: config.path is required when output="file"';
+
+  if (!fixedTarget && finalConfig.output !== "file") {
+    throw new Error(missingPathMessage);
+  }
+
+  const defaultTarget: () => LogTarget = fixedTarget
+    ? () => fixedTarget
+    : reportFileDropped(createFileTarget(finalConfig, missingPathMessage));
+
+  const routeTargets = (finalConfig.routes ?? []).map(({match, ...settings}, index) => ({
+    matches: createRouteMatcher(match, index),
+    select: reportFileDropped(createFileTarget({...finalConfig, ...settings}, `accessLogMiddleware: routes[${index}].path is required`)),
+  }));
+
+  const selectTarget = (req: e.Request): () => LogTarget =>
+    routeTargets.find(route => route.matches(req))?.select ?? defaultTarget;
+
+  // morgan writes each line right after formatting it and the Writable keeps the order of writes,
+  // so the targets queued while formatting are consumed in the same order as the lines arrive
+  const pendingTargets: (() => LogTarget)[] = [];
+
+  const routedFormat: AccessLogFormatFn = (tokens, req, res) => {
+    const line = format(tokens, req, res);
+    if (line != null) pendingTargets.push(selectTarget(req));
+    return line;
+  };
+
+  const proxyStream = new Writable({
+    write(chunk, _encoding, callback) {
+      (pendingTargets.shift() ?? defaultTarget)().write(chunk, () => callback());
+    },
+  });
+
+  const morganOptions: morgan.Options<e.Request, e.Response> = {
+    stream: proxyStream,
+    ...((skip || sampler) && {
+      skip: (req: e.Request, res: e.Response) =>
+        !!skip?.(req, res) || (!!sampler?.(req, res) && !tracker?.isIncomplete(req, res))
+    }),
+  }
+
+  const logger = morgan(routedFormat, morganOptions);
+  if (!tracker) return logger;
+
+  // morgan only logs once the response is finished or the connection closed,
+  // requests hit by the forced shutdown drain are written right away instead
+  const logShutdownTimeout = (req: e.Request, res: e.Response): void => {
+    if (morganOptions.skip?.(req, res)) return;
+    const line = routedFormat(morgan as unknown as morgan.TokenIndexer<e.Request, e.Response>, req, res);
+    if (line != null) proxyStream.write(`${line}\n`);
+  };
+
+  return (req, res, next) => {
+    tracker.track(req, res, () => logShutdownTimeout(req, res));
+    logger(req, res, next);
+  };
+}
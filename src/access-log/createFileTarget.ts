@@ -0,0 +1,52 @@
+import {LogStream} from "./LogStream.js";
+import {defaultFilenameTemplate, generateLogPath} from "./generateLogPath.js";
+import {resolveFilename} from "./filenameTemplate.js";
+import type {AccessLogDestination} from "./types/types.js";
+
+export type AccessLogFileSettings = Pick<AccessLogDestination,
+  'path' | 'filename' | 'timezone' | 'utc' | 'createDirectory' | 'maxSize' | 'maxFiles' | 'maxAgeDays' | 'compress' |
+  'maxBufferedLines'>
+
+/**
+ * Returns a function resolving the LogStream for the current filename of the given settings.
+ * When the filename changes (e.g. on the next day), the previous stream is removed and compressed if configured.
+ * Streams are shared per path through LogStream.create.
+ */
+export const createFileTarget = (settings: AccessLogFileSettings, missingPathMessage: string): () => LogStream => {
+  const {path, filename = defaultFilenameTemplate} = settings;
+
+  if (!path) {
+    throw new Error(missingPathMessage);
+  }
+
+  const resolvedFilename = resolveFilename(filename, {
+    ...(settings.timezone !== undefined && {timezone: settings.timezone}),
+    ...(settings.utc !== undefined && {utc: settings.utc}),
+  });
+
+  let currentLogStream: LogStream | null = null;
+
+  const selectLogStream = (): LogStream => {
+    const newLogStream = LogStream.create({
+      logFilePath: generateLogPath(resolvedFilename, path),
+      createDirectory: settings.createDirectory !== false,
+      ...(settings.maxSize !== undefined && {maxSize: settings.maxSize}),
+      ...(settings.maxFiles !== undefined && {maxFiles: settings.maxFiles}),
+      ...(settings.maxAgeDays !== undefined && {maxAgeDays: settings.maxAgeDays}),
+      ...(typeof filename === 'string' && {filenameTemplate: filename}),
+      ...(settings.compress && {compress: settings.compress}),
+      ...(settings.maxBufferedLines !== undefined && {maxBufferedLines: settings.maxBufferedLines}),
+    });
+
+    if (newLogStream !== currentLogStream) {
+      LogStream.remove(currentLogStream);
+      currentLogStream = newLogStream;
+    }
+
+    return currentLogStream;
+  };
+
+  selectLogStream(); // initialize once
+
+  return selectLogStream;
+}
@@ -0,0 +1,19 @@
+import type e from "express";
+import {createPathMatcher} from "../utils/createPathMatcher.js";
+
+export type AccessLogRouteMatch = string | RegExp | ((req: e.Request) => boolean)
+
+/**
+ * Creates a predicate for a route's `match` setting: functions are used as they are, paths and regular expressions
+ * go through createPathMatcher. Invalid values throw with the index of the route.
+ */
+export const createRouteMatcher = (match: AccessLogRouteMatch, index: number): (req: e.Request) => boolean => {
+  if (typeof match === 'function') return match;
+
+  const matcher = createPathMatcher(match);
+  if (!matcher) {
+    throw new Error(`accessLogMiddleware: routes[${index}].match must be a path starting with "/", a RegExp or a function`);
+  }
+
+  return matcher;
+}
@@ -0,0 +1,62 @@
+import morgan from "morgan";
+import type e from "express";
+
+export type AccessLogSampling = {
+  /**
+   * Fraction (0 – 1) of successful (1xx – 3xx) responses to log
+   */
+  rate: number
+  /**
+   * Always log responses that took longer than this many milliseconds
+   */
+  slowThreshold?: number
+  /**
+   * Always log responses with a body larger than this many bytes
+   */
+  sizeThreshold?: number
+}
+
+const tokens = morgan as unknown as morgan.TokenIndexer<e.Request, e.Response>
+
+/**
+ * FNV-1a hash of value mapped to [0, 1), so the same id always lands on the same side of the sample rate.
+ */
+const samplePosition = (value: string): number => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+const assertPositive = (name: string, value: number | undefined): void => {
+  if (value !== undefined && (typeof value !== 'number' || !(value > 0))) {
+    throw new Error(`accessLogMiddleware: sample.${name} must be a number > 0`);
+  }
+}
+
+/**
+ * Creates a morgan skip function that only keeps a fraction of successful responses.
+ * Errors (4xx/5xx), slow and large responses are always logged. When requestIdMiddleware has run,
+ * the decision is derived from the correlationId, so all hops of a request are either kept or skipped together.
+ */
+export const createSampler = (sampling: AccessLogSampling): (req: e.Request, res: e.Response) => boolean => {
+  const {rate, slowThreshold, sizeThreshold} = sampling;
+
+  if (typeof rate !== 'number' || !(rate >= 0 && rate <= 1)) {
+    throw new Error('accessLogMiddleware: sample.rate must be a number between 0 and 1');
+  }
+
+  assertPositive('slowThreshold', slowThreshold);
+  assertPositive('sizeThreshold', sizeThreshold);
+
+  return (req, res) => {
+    if (res.statusCode >= 400) return false;
+
+    if (slowThreshold !== undefined && Number(tokens['response-time']!(req, res)) > slowThreshold) return false;
+    if (sizeThreshold !== undefined && Number(res.getHeader('content-length')) > sizeThreshold) return false;
+
+    const position = req.correlationId ? samplePosition(req.correlationId) : Math.random();
+    return position >= rate;
+  };
+}
@@ -0,0 +1,84 @@
+import morgan from "morgan";
+import type e from "express";
+import {defaultSlowLogFilenameTemplate} from "./generateLogPath.js";
+import {createFileTarget} from "./createFileTarget.js";
+import {redactFormat, type AccessLogRedaction} from "./redactFormat.js";
+import type {AccessLogFormatFn} from "./resolveFormat.js";
+import type {AccessLogSlowLog} from "./types/types.js";
+
+type SlowLogTiming = {
+  ttfb: number | null
+  total: number
+  aborted: boolean
+}
+
+const elapsedMs = (start: bigint, end: bigint): number => Number(end - start) / 1e6
+
+/**
+ * Creates a middleware that writes requests slower than the threshold as one JSON object per line
+ * to their own log file, with time to first byte, total time, the aborted flag and the request ids.
+ */
+export const createSlowLogger = (
+  config: AccessLogSlowLog,
+  redact?: AccessLogRedaction
+): e.RequestHandler => {
+  const {threshold, filename = defaultSlowLogFilenameTemplate} = config;
+
+  if (typeof threshold !== 'number' || !(threshold > 0)) {
+    throw new Error('accessLogMiddleware: slowLog.threshold must be a number > 0');
+  }
+
+  const timings = new WeakMap<e.Request, SlowLogTiming>();
+
+  const slowFormat: AccessLogFormatFn = (tokens, req, res) => {
+    const timing = timings.get(req)!;
+    const status = tokens['status']?.(req, res);
+
+    return JSON.stringify({
+      time: new Date().toISOString(),
+      method: tokens['method']?.(req, res) ?? null,
+      url: tokens['url']?.(req, res) ?? null,
+      status: status ? Number(status) : null,
+      ttfb: timing.ttfb,
+      total: timing.total,
+      aborted: timing.aborted,
+      requestId: req.requestId ?? null,
+      correlationId: req.correlationId ?? null,
+    });
+  };
+
+  const format = redact ? redactFormat(slowFormat, redact) : slowFormat;
+
+  const selectLogStream = createFileTarget({...config, filename}, 'accessLogMiddleware: slowLog.path is required');
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    let firstByte: bigint | null = null;
+
+    // writeHead is also called implicitly by the first write(), so this marks the first byte either way
+    const writeHead = res.writeHead;
+    res.writeHead = function (this: e.Response, ...args: Parameters<typeof writeHead>) {
+      firstByte ??= process.hrtime.bigint();
+      return writeHead.apply(this, args);
+    } as typeof writeHead;
+
+    res.once('close', () => {
+      const end = process.hrtime.bigint();
+      const total = elapsedMs(start, end);
+      if (total < threshold) return;
+
+      timings.set(req, {
+        ttfb: firstByte === null ? null : elapsedMs(start, firstByte),
+        total,
+        aborted: !res.writableFinished,
+      });
+
+      const line = format(morgan as unknown as morgan.TokenIndexer<e.Request, e.Response>, req, res);
+      timings.delete(req);
+
+      if (line) selectLogStream().write(`${line}\n`, () => {});
+    });
+
+    next();
+  };
+}
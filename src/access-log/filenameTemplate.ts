@@ -0,0 +1,88 @@
+import type {AccessLogFilenameFn} from "./types/types.js";
+
+export type FilenameTimeOptions = {
+  /**
+   * IANA time zone (e.g. "Europe/Berlin") used for the placeholders in filename templates
+   */
+  timezone?: string
+  /**
+   * Use UTC for the placeholders in filename templates
+   */
+  utc?: boolean
+}
+
+type DateParts = Record<'Y' | 'm' | 'd' | 'H' | 'M', string>
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+const getFormatter = (timeZone: string): Intl.DateTimeFormat => {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      });
+    } catch {
+      throw new Error(`accessLogMiddleware: unknown timezone "${timeZone}"`);
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+const pad = (value: number): string => String(value).padStart(2, '0');
+
+const dateParts = (date: Date, timeZone: string | undefined): DateParts => {
+  if (!timeZone) {
+    return {
+      Y: String(date.getFullYear()),
+      m: pad(date.getMonth() + 1),
+      d: pad(date.getDate()),
+      H: pad(date.getHours()),
+      M: pad(date.getMinutes()),
+    };
+  }
+
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(date).map(({type, value}) => [type, value]));
+  return {Y: parts['year']!, m: parts['month']!, d: parts['day']!, H: parts['hour']!, M: parts['minute']!};
+}
+
+const placeholderPattern = /%(.?)/g;
+
+/**
+ * Replaces %Y, %m, %d, %H and %M with the year, month, day, hour and minute of date, %% with a literal "%".
+ * Without timezone/utc the server's local time is used.
+ */
+export const formatFilenameTemplate = (template: string, date: Date, options: FilenameTimeOptions = {}): string => {
+  const parts = dateParts(date, options.utc ? 'UTC' : options.timezone);
+  return template.replace(placeholderPattern, (_match, key: string) => key === '%' ? '%' : parts[key as keyof DateParts]);
+}
+
+/**
+ * Returns the filename resolver for a filename option: functions are used as they are,
+ * strings containing placeholders are formatted with the current time on every call, other strings are used verbatim.
+ */
+export const resolveFilename = (filename: AccessLogFilenameFn | string, options: FilenameTimeOptions = {}): AccessLogFilenameFn => {
+  if (options.utc && options.timezone) {
+    throw new Error('accessLogMiddleware: use either timezone or utc, not both');
+  }
+
+  if (options.timezone !== undefined) getFormatter(options.timezone); // validate early
+
+  if (typeof filename !== 'string') return filename;
+  if (!filename.includes('%')) return () => filename;
+
+  for (const [, key] of filename.matchAll(placeholderPattern)) {
+    if (!['Y', 'm', 'd', 'H', 'M', '%'].includes(key!)) {
+      throw new Error(`accessLogMiddleware: unsupported placeholder "%${key}" in filename "${filename}"`);
+    }
+  }
+
+  return () => formatFilenameTemplate(filename, new Date(), options);
+}
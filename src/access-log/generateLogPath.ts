@@ -1,4 +1,11 @@
 import {join} from "node:path";
+import {formatFilenameTemplate} from "./filenameTemplate.js";
+
+export const defaultFilenameTemplate = 'access_log_%Y_%m_%d.log'
+
+export const defaultSlowLogFilenameTemplate = 'slow_log_%Y_%m_%d.log'
+
+export const defaultErrorLogFilenameTemplate = 'error_log_%Y_%m_%d.log'
 
 export const generateLogPath =
   (filenameResolver: () => string, basePath: string): string => {
@@ -10,9 +17,4 @@ export const generateLogPath =
     return join(basePath, filename);
   }
 
-export const defaultFilename = () => {
-  const now = new Date();
-  const month = String(now.getMonth() + 1).padStart(2, "0");
-  const date = String(now.getDate()).padStart(2, "0");
-  return `access_log_${now.getFullYear()}_${month}_${date}.log`;
-}
+export const defaultFilename = () => formatFilenameTemplate(defaultFilenameTemplate, new Date())
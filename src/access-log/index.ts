@@ -1,5 +1,19 @@
+export {accessLogMiddleware} from "./accessLogMiddleware.js";
+export * from "./types/types.js";
+export {LogStream, type LogStreamOptions, type LogStreamStats, type LogStreamEvents} from "./LogStream.js";
+export type {LogCompression} from "./compressLogFile.js";
+export {HttpSink, type HttpSinkOptions, type HttpSinkEvents} from "./HttpSink.js";
 export {
-  accessLogMiddleware,
-  type AccessLogFilenameFn,
-  type AccessLogOptions
-} from "./accessLogMiddleware.js";
+  SyslogStream,
+  type SyslogOptions,
+  type SyslogFacility,
+  type SyslogSeverity,
+  type SyslogStreamEvents
+} from "./SyslogStream.js";
+export type {AccessLogJsonFieldsFn} from "./jsonFormat.js";
+export type {AccessLogFormat, AccessLogFormatFn} from "./resolveFormat.js";
+export type {AccessLogTokenFn} from "./registerTokens.js";
+export type {AccessLogSampling} from "./createSampler.js";
+export type {AccessLogRedaction} from "./redactFormat.js";
+export type {IncompleteRequestMarker} from "./trackIncomplete.js";
+export type {AccessLogRouteMatch} from "./createRouteMatcher.js";
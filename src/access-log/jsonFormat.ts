@@ -0,0 +1,37 @@
+import type morgan from "morgan";
+import type e from "express";
+
+export type AccessLogJsonFieldsFn = (req: e.Request, res: e.Response) => Record<string, unknown>
+
+const toNumber = (value: string | undefined): number | null => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Creates a morgan format function that writes one JSON object per line (NDJSON).
+ * Request correlation fields are included when requestIdMiddleware has run,
+ * additional fields returned by `fields` are merged in last.
+ */
+export const jsonFormat = (fields?: AccessLogJsonFieldsFn): morgan.FormatFn<e.Request, e.Response> =>
+  (tokens, req, res) => {
+    const token = (name: string, arg?: string) => tokens[name]?.(req, res, arg);
+    const status = token('status');
+
+    return JSON.stringify({
+      time: new Date().toISOString(),
+      method: token('method') ?? null,
+      url: token('url') ?? null,
+      // non-numeric markers ("aborted", "shutdown-timeout") are kept as they are
+      status: toNumber(status) ?? status ?? null,
+      responseTime: toNumber(token('response-time')),
+      bytes: toNumber(token('res', 'content-length')),
+      remoteAddr: token('remote-addr') ?? null,
+      userAgent: token('user-agent') ?? null,
+      ...(req.requestId && {requestId: req.requestId}),
+      ...(req.correlationId && {correlationId: req.correlationId}),
+      ...(req.requestChain && {requestChain: req.requestChain}),
+      ...fields?.(req, res)
+    });
+  }
@@ -0,0 +1,116 @@
+import fs from "node:fs";
+import {basename, dirname, join} from "node:path";
+import {compressedExtensions, isPendingArchive} from "./compressLogFile.js";
+
+export type PruneLogFilesOptions = {
+  maxFiles?: number
+  maxAgeDays?: number
+  /**
+   * Filename template the log file was created from (e.g. "access_log_%Y_%m_%d.log"),
+   * so the files of earlier dates belong to the same family
+   */
+  filenameTemplate?: string
+  /**
+   * Absolute paths that must never be removed (currently open log files)
+   */
+  keep: string[]
+}
+
+const escapeRegExp = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const compressedExtension = `(${Object.values(compressedExtensions).map(escapeRegExp).join('|')})`
+
+const compressedSuffix = `${compressedExtension}?`
+
+const placeholderPatterns: Record<string, string> = {Y: '\\d{4}', m: '\\d{2}', d: '\\d{2}', H: '\\d{2}', M: '\\d{2}', '%': '%'}
+
+const familyStem = (logFilePath: string, filenameTemplate?: string): string =>
+  filenameTemplate
+    ? basename(filenameTemplate).split(/(%.)/).map((part, index) =>
+      index % 2 ? placeholderPatterns[part[1]!] ?? escapeRegExp(part) : escapeRegExp(part)
+    ).join('')
+    : escapeRegExp(basename(logFilePath))
+
+/**
+ * Matches files that belong to the same log family as logFilePath: its basename, or any name the filename template
+ * produces, optionally followed by a rotation suffix and a compression extension (or an unfinished ".tmp" archive).
+ * Other logs in the same directory (e.g. "audit.log" next to "access_log_%Y_%m_%d.log") never match.
+ */
+const logFilePattern = (logFilePath: string, filenameTemplate?: string): RegExp =>
+  new RegExp(`^${familyStem(logFilePath, filenameTemplate)}(\\.\\d+)?(${compressedExtension}(\\.tmp)?)?$`)
+
+/**
+ * Matches ".tmp" archives of the log family, left behind when the process exited while compressing
+ */
+const staleArchivePattern = (logFilePath: string, filenameTemplate?: string): RegExp =>
+  new RegExp(`^(${familyStem(logFilePath, filenameTemplate)}(\\.\\d+)?)${compressedExtension}\\.tmp$`)
+
+/**
+ * Returns the path the current log file should be renamed to when it is rotated by size.
+ * Uses the next free numeric suffix, so the highest number is always the most recent rotation.
+ */
+export const nextRotationPath = (logFilePath: string): string => {
+  const name = basename(logFilePath)
+  const suffix = new RegExp(`^${escapeRegExp(name)}\\.(\\d+)${compressedSuffix}$`)
+
+  const highest = fs.readdirSync(dirname(logFilePath)).reduce((max, file) => {
+    const match = suffix.exec(file)
+    return match ? Math.max(max, Number(match[1])) : max
+  }, 0)
+
+  return `${logFilePath}.${highest + 1}`
+}
+
+/**
+ * Deletes old log files in the directory of logFilePath according to maxFiles and maxAgeDays.
+ * Resolves with the list of removed paths.
+ */
+export const pruneLogFiles = async (logFilePath: string, options: PruneLogFilesOptions): Promise<string[]> => {
+  const {maxFiles, maxAgeDays, filenameTemplate, keep} = options
+  if (!maxFiles && !maxAgeDays) return []
+
+  const directory = dirname(logFilePath)
+  const pattern = logFilePattern(logFilePath, filenameTemplate)
+
+  const candidates = await Promise.all(
+    (await fs.promises.readdir(directory))
+      .filter(file => pattern.test(file))
+      .map(file => join(directory, file))
+      .filter(path => !keep.includes(path) && !isPendingArchive(path))
+      .map(async path => ({path, stat: await fs.promises.stat(path).catch(() => null)}))
+  )
+
+  const files = candidates
+    .filter((file): file is { path: string, stat: fs.Stats } => !!file.stat?.isFile())
+    .sort((a, b) => b.stat.mtimeMs - a.stat.mtimeMs)
+
+  const minMtime = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0
+  const expired = files.filter(({stat}, index) =>
+    (maxFiles !== undefined && index >= maxFiles) || stat.mtimeMs < minMtime
+  )
+
+  await Promise.all(expired.map(({path}) => fs.promises.rm(path, {force: true})))
+  return expired.map(({path}) => path)
+}
+
+/**
+ * Deletes the ".tmp" archives of the log family that no compression in this process is writing, e.g. left behind
+ * by a crash. Resolves with the paths of the uncompressed files they belonged to that still exist.
+ */
+export const removeStaleArchives = async (logFilePath: string, filenameTemplate?: string): Promise<string[]> => {
+  const directory = dirname(logFilePath)
+  const pattern = staleArchivePattern(logFilePath, filenameTemplate)
+
+  const originals = await Promise.all(
+    (await fs.promises.readdir(directory))
+      .map(file => ({file, match: pattern.exec(file)}))
+      .filter(({file, match}) => match && !isPendingArchive(join(directory, file)))
+      .map(async ({file, match}) => {
+        await fs.promises.rm(join(directory, file), {force: true})
+        const original = join(directory, match![1]!)
+        return fs.existsSync(original) ? original : null
+      })
+  )
+
+  return originals.filter((original): original is string => original !== null)
+}
@@ -0,0 +1,98 @@
+import type e from "express";
+import type morgan from "morgan";
+import type {AccessLogFormatFn} from "./resolveFormat.js";
+
+export type AccessLogRedaction = {
+  /**
+   * Query parameter names whose values are masked, matched case-insensitively
+   */
+  query?: string[]
+  /**
+   * Header names whose values are masked in `:req[name]`, `:res[name]`, `:referrer` and `:user-agent`
+   */
+  headers?: string[]
+  /**
+   * Patterns masked anywhere in the line, every match is replaced
+   */
+  patterns?: RegExp[]
+  /**
+   * @default "[REDACTED]"
+   */
+  replacement?: string
+}
+
+/**
+ * Tokens that read a fixed header instead of taking the header name as argument.
+ */
+const headerTokens: Record<string, string> = {
+  'referrer': 'referer',
+  'user-agent': 'user-agent',
+}
+
+const escapeRegExp = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const assertStrings = (name: string, value: unknown): void => {
+  if (value !== undefined && (!Array.isArray(value) || value.some(entry => typeof entry !== 'string' || !entry))) {
+    throw new Error(`accessLogMiddleware: redact.${name} must be an array of non-empty strings`);
+  }
+}
+
+/**
+ * Wraps a format function, so header values are masked before they reach the format and
+ * query parameters and patterns are masked in the finished line. Works the same for every format.
+ */
+export const redactFormat = (format: AccessLogFormatFn, redaction: AccessLogRedaction): AccessLogFormatFn => {
+  const {query = [], headers = [], patterns = [], replacement = '[REDACTED]'} = redaction;
+
+  assertStrings('query', query);
+  assertStrings('headers', headers);
+
+  if (!Array.isArray(patterns) || patterns.some(pattern => !(pattern instanceof RegExp))) {
+    throw new Error('accessLogMiddleware: redact.patterns must be an array of regular expressions');
+  }
+
+  if (typeof replacement !== 'string') {
+    throw new Error('accessLogMiddleware: redact.replacement must be a string');
+  }
+
+  const redactedHeaders = new Set(headers.map(header => header.toLowerCase()));
+
+  const queryPattern = query.length
+    ? new RegExp(`([?&](?:${query.map(escapeRegExp).join('|')})=)[^&#\\s"]*`, 'gi')
+    : null;
+
+  const linePatterns = patterns.map(pattern =>
+    pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`)
+  );
+
+  const redactLine = (line: string): string => {
+    let result = queryPattern ? line.replace(queryPattern, (_match, prefix: string) => `${prefix}${replacement}`) : line;
+    for (const pattern of linePatterns) {
+      result = result.replace(pattern, () => replacement);
+    }
+    return result;
+  };
+
+  const isRedactedHeader = (name: string, arg?: unknown): boolean => {
+    if (name === 'req' || name === 'res') return typeof arg === 'string' && redactedHeaders.has(arg.toLowerCase());
+    return name in headerTokens && redactedHeaders.has(headerTokens[name]!);
+  };
+
+  const wrapTokens = (tokens: morgan.TokenIndexer<e.Request, e.Response>): morgan.TokenIndexer<e.Request, e.Response> =>
+    new Proxy(tokens, {
+      get(target, name, receiver) {
+        const token = Reflect.get(target, name, receiver);
+        if (typeof name !== 'string' || typeof token !== 'function') return token;
+
+        return (req: e.Request, res: e.Response, arg?: string | number | boolean) => {
+          const value = token(req, res, arg);
+          return value !== undefined && isRedactedHeader(name, arg) ? replacement : value;
+        };
+      }
+    });
+
+  return (tokens, req, res) => {
+    const line = format(wrapTokens(tokens), req, res);
+    return typeof line === 'string' ? redactLine(line) : line;
+  };
+}
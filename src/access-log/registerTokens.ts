@@ -0,0 +1,32 @@
+import morgan from "morgan";
+import type e from "express";
+
+export type AccessLogTokenFn = (req: e.Request, res: e.Response, arg?: string) => string | undefined
+
+/**
+ * Tokens for the values other middlewares of this package attach to the request.
+ */
+export const builtinTokens: Record<string, AccessLogTokenFn> = {
+  'request-id': req => req.requestId,
+  'correlation-id': req => req.correlationId,
+  'request-chain': req => req.requestChain?.join(','),
+  'full-url': req => req.fullUrl,
+}
+
+/**
+ * Registers named tokens on morgan, so they can be used as `:name` in format strings.
+ * Registration is global to morgan; registering the same name again replaces the token.
+ */
+export const registerTokens = (tokens: Record<string, AccessLogTokenFn>): void => {
+  for (const [name, fn] of Object.entries(tokens)) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`accessLogMiddleware: invalid token name "${name}"`);
+    }
+
+    if (typeof fn !== 'function') {
+      throw new Error(`accessLogMiddleware: token "${name}" must be a function`);
+    }
+
+    morgan.token<e.Request, e.Response>(name, fn as morgan.TokenCallbackFn<e.Request, e.Response>);
+  }
+}
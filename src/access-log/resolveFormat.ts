@@ -0,0 +1,31 @@
+import morgan from "morgan";
+import type e from "express";
+import {type AccessLogJsonFieldsFn, jsonFormat} from "./jsonFormat.js";
+
+export type AccessLogFormatFn = morgan.FormatFn<e.Request, e.Response>
+
+export type AccessLogFormat =
+  | "combined" | "dev" | "common" | "tiny" | "short" | "json"
+  | (string & {})
+  | AccessLogFormatFn
+
+const presets = ['combined', 'common', 'default', 'dev', 'short', 'tiny'];
+
+/**
+ * Resolves a preset name, "json", a custom format string or a format function into a morgan format function.
+ */
+export const resolveFormat = (format: AccessLogFormat, jsonFields?: AccessLogJsonFieldsFn): AccessLogFormatFn => {
+  if (typeof format === 'function') return format;
+  if (format === 'json') return jsonFormat(jsonFields);
+
+  if (typeof format !== 'string' || !format) {
+    throw new Error('accessLogMiddleware: format must be a non-empty string or a function');
+  }
+
+  const preset = presets.includes(format)
+    ? (morgan as unknown as Record<string, string | AccessLogFormatFn>)[format]
+    : undefined;
+
+  if (typeof preset === 'function') return preset;
+  return morgan.compile(preset ?? format) as AccessLogFormatFn;
+}
@@ -0,0 +1,80 @@
+import type e from "express";
+import type morgan from "morgan";
+import {shutdownTimeoutEvent} from "../graceful-shutdown/gracefulShutdownMiddleware.js";
+import type {AccessLogFormatFn} from "./resolveFormat.js";
+
+export type IncompleteRequestMarker = "aborted" | "shutdown-timeout"
+
+/**
+ * Tokens that are empty for requests without a (complete) response and report the elapsed time instead.
+ */
+const timeTokens = ['response-time', 'total-time'];
+
+/**
+ * Tracks requests that never complete regularly: the client disconnected before the response was
+ * finished ("aborted"), or the request was still pending when gracefulShutdownMiddleware forced the drain
+ * ("shutdown-timeout"). For those, the `:status` token reports the marker and the time tokens the elapsed time.
+ */
+export const createIncompleteTracker = () => {
+  const starts = new WeakMap<e.Request, bigint>();
+  const shutdownTimeouts = new WeakSet<e.Request>();
+  const logged = new WeakSet<e.Request>();
+
+  const markerFor = (req: e.Request, res: e.Response): IncompleteRequestMarker | undefined => {
+    if (shutdownTimeouts.has(req)) return 'shutdown-timeout';
+    if (!res.writableFinished) return 'aborted';
+    return undefined;
+  };
+
+  /**
+   * True for requests that are logged with a marker, sampling never skips them
+   */
+  const isIncomplete = (req: e.Request, res: e.Response): boolean => markerFor(req, res) !== undefined;
+
+  const elapsed = (req: e.Request, digits?: string | number | boolean): string | undefined => {
+    const start = starts.get(req);
+    if (start === undefined) return undefined;
+    return (Number(process.hrtime.bigint() - start) / 1e6).toFixed(digits === undefined ? 3 : Number(digits));
+  };
+
+  /**
+   * Registers the request, onShutdownTimeout is called when the forced drain hits it.
+   */
+  const track = (req: e.Request, res: e.Response, onShutdownTimeout: () => void): void => {
+    starts.set(req, process.hrtime.bigint());
+    res.once(shutdownTimeoutEvent, () => {
+      shutdownTimeouts.add(req);
+      onShutdownTimeout();
+    });
+  };
+
+  /**
+   * Wraps a format function, so incomplete requests are marked and every request produces one line at most
+   * (a request logged on shutdown timeout is not logged again if it closes afterwards).
+   */
+  const wrapFormat = (format: AccessLogFormatFn): AccessLogFormatFn => (tokens, req, res) => {
+    if (logged.has(req)) return null;
+
+    const marker = markerFor(req, res);
+    const line = format(marker ? markTokens(tokens, marker) : tokens, req, res);
+    if (line != null) logged.add(req);
+    return line;
+  };
+
+  const markTokens = (
+    tokens: morgan.TokenIndexer<e.Request, e.Response>,
+    marker: IncompleteRequestMarker
+  ): morgan.TokenIndexer<e.Request, e.Response> =>
+    new Proxy(tokens, {
+      get(target, name, receiver) {
+        const token = Reflect.get(target, name, receiver);
+        if (name === 'status') return () => marker;
+        if (typeof name !== 'string' || !timeTokens.includes(name) || typeof token !== 'function') return token;
+
+        return (req: e.Request, res: e.Response, arg?: string | number | boolean) =>
+          token(req, res, arg) ?? elapsed(req, arg);
+      }
+    });
+
+  return {track, wrapFormat, isIncomplete};
+}
@@ -0,0 +1,157 @@
+import type e from "express";
+import type {LogCompression} from "../compressLogFile.js";
+import type {AccessLogJsonFieldsFn} from "../jsonFormat.js";
+import type {AccessLogFormat} from "../resolveFormat.js";
+import type {AccessLogTokenFn} from "../registerTokens.js";
+import type {SyslogOptions} from "../SyslogStream.js";
+import type {HttpSinkOptions} from "../HttpSink.js";
+import type {AccessLogSampling} from "../createSampler.js";
+import type {AccessLogRedaction} from "../redactFormat.js";
+import type {AccessLogRouteMatch} from "../createRouteMatcher.js";
+import type {AccessLogFileSettings} from "../createFileTarget.js";
+
+export type AccessLogFilenameFn = () => string
+
+/**
+ * Called whenever a target drops a line (e.g. its buffer is full), with the log file path, "syslog" or the
+ * HTTP endpoint and the total number of lines dropped for it so far
+ */
+export type AccessLogDroppedFn = (target: string, droppedLines: number) => void
+
+export type AccessLogOutput = "file" | "stdout" | "stderr" | "syslog" | "http"
+
+export type AccessLogDestination = {
+  output?: AccessLogOutput
+  path?: string
+  /**
+   * Connection and header settings when output is "syslog"
+   */
+  syslog?: SyslogOptions
+  /**
+   * Endpoint, batching, retry and spool settings when output is "http"
+   */
+  http?: HttpSinkOptions
+  /**
+   * morgan preset, "json" for one JSON object per line (NDJSON),
+   * a custom format string (e.g. ":method :url :request-id") or a format function
+   * @default "dev", "json" when output is "http"
+   */
+  format?: AccessLogFormat
+  /**
+   * Additional named tokens usable as `:name` in format strings
+   */
+  tokens?: Record<string, AccessLogTokenFn>
+  /**
+   * Additional fields merged into every line when format is "json"
+   */
+  jsonFields?: AccessLogJsonFieldsFn
+  /**
+   * Query parameters, headers and patterns masked in every line, whichever format is used
+   */
+  redact?: AccessLogRedaction
+  /**
+   * True if the current request should be skipped
+   */
+  skip?: (req: e.Request, res: e.Response) => boolean
+  /**
+   * Log only a fraction of successful responses, errors, slow and large responses are always logged,
+   * as are incomplete requests with logIncomplete
+   */
+  sample?: AccessLogSampling
+  /**
+   * Also log requests the client aborted and requests still pending when gracefulShutdownMiddleware
+   * forces the drain, with `:status` set to "aborted" / "shutdown-timeout" and the elapsed time
+   */
+  logIncomplete?: boolean
+  /**
+   * Filename, a template with %Y, %m, %d, %H and %M placeholders (e.g. "access-%Y-%m-%dT%H.log")
+   * or a function returning the filename
+   * @default "access_log_%Y_%m_%d.log"
+   */
+  filename?: AccessLogFilenameFn | string
+  /**
+   * IANA time zone for the placeholders in filename templates, defaults to the server's local time
+   */
+  timezone?: string
+  /**
+   * Use UTC for the placeholders in filename templates
+   */
+  utc?: boolean
+  createDirectory?: boolean
+  /**
+   * Rotate the current file to a numeric suffix (.1, .2, …) once it reaches this many bytes
+   */
+  maxSize?: number
+  /**
+   * Maximum number of old log files to keep in `path`
+   */
+  maxFiles?: number
+  /**
+   * Delete old log files in `path` that are older than this many days
+   */
+  maxAgeDays?: number
+  /**
+   * Compress log files in the background once the middleware switches to a new file
+   */
+  compress?: LogCompression
+  /**
+   * Number of lines held in memory while the log file is being recreated
+   * @default 1000
+   */
+  maxBufferedLines?: number
+  /**
+   * Called when lines are lost, e.g. because a buffer is full, to alert on lost access logs
+   */
+  onDropped?: AccessLogDroppedFn
+  /**
+   * Write matching requests to their own log file instead, the first matching route wins.
+   * Applies to this destination only, on the top level only when `destinations` is not used.
+   */
+  routes?: AccessLogRoute[]
+}
+
+/**
+ * A separate log file for matching requests. File settings that are not set are taken from the destination.
+ */
+export type AccessLogRoute = AccessLogFileSettings & {
+  /**
+   * Path prefix ("/admin" matches "/admin/…"), regular expression tested against the path, or predicate
+   */
+  match: AccessLogRouteMatch
+}
+
+export type AccessLogSlowLog = {
+  /**
+   * Requests that take longer than this many milliseconds are written to the slow log
+   */
+  threshold: number
+  /**
+   * Directory for the slow log, defaults to the top-level `path`
+   */
+  path?: string
+  /**
+   * @default "slow_log_%Y_%m_%d.log"
+   */
+  filename?: AccessLogFilenameFn | string
+  timezone?: string
+  utc?: boolean
+  createDirectory?: boolean
+}
+
+export type AccessLogOptions = AccessLogDestination & {
+  enabled?: boolean
+  /**
+   * Write every request to several destinations at once.
+   * The top-level destination settings except `routes` are used as defaults for each entry.
+   */
+  destinations?: AccessLogDestination[]
+  /**
+   * Reopen all log files when the process receives this signal (true = "SIGHUP"),
+   * so an external logrotate can move or truncate them
+   */
+  reopenOnSignal?: boolean | NodeJS.Signals
+  /**
+   * Additionally write requests over a duration threshold with a timing breakdown to a separate file
+   */
+  slowLog?: AccessLogSlowLog
+}
@@ -0,0 +1,163 @@
+import {STATUS_CODES} from "node:http";
+import type {MulterError} from "multer";
+import type {BodyValidationIssue} from "./utils/compileSchema.js";
+
+export type BodyParserErrorCode =
+  | 'MALFORMED_BODY'
+  | 'BODY_TOO_LARGE'
+  | 'TOO_MANY_PARAMETERS'
+  | 'UNSUPPORTED_MEDIA_TYPE'
+  | 'UNSUPPORTED_CHARSET'
+  | 'UNSUPPORTED_ENCODING'
+  | 'REQUEST_ABORTED'
+  | 'INVALID_BODY'
+  | 'COMPRESSION_RATIO_EXCEEDED'
+  | 'UNSUPPORTED_FILE_TYPE'
+  | MulterError['code']
+
+export type BodyParserErrorStatus = 400 | 413 | 415
+
+export type BodyParserErrorDetails = {
+  status: BodyParserErrorStatus
+  code: BodyParserErrorCode
+  /**
+   * The exceeded limit, e.g. the maximum body size in bytes
+   */
+  limit?: number
+  /**
+   * The multipart field the error relates to
+   */
+  field?: string
+  /**
+   * The failed checks when validateBody rejects a body
+   */
+  errors?: BodyValidationIssue[]
+  cause?: unknown
+}
+
+/**
+ * RFC 9457 problem details, sent as application/problem+json
+ */
+export type BodyParserProblemDetails = {
+  type: string
+  title: string
+  status: BodyParserErrorStatus
+  detail: string
+  code: BodyParserErrorCode
+  limit?: number
+  field?: string
+  errors?: BodyValidationIssue[]
+}
+
+/**
+ * Error passed to next (or onError) when a request body cannot be parsed, whichever parser rejected it
+ */
+export class BodyParserError extends Error {
+  readonly status: BodyParserErrorStatus;
+
+  /**
+   * Same as status, for error handlers reading statusCode
+   */
+  readonly statusCode: BodyParserErrorStatus;
+
+  readonly code: BodyParserErrorCode;
+
+  readonly limit: number | undefined;
+
+  readonly field: string | undefined;
+
+  readonly errors: BodyValidationIssue[] | undefined;
+
+  /**
+   * Client errors are safe to show, as with http-errors
+   */
+  readonly expose = true;
+
+  constructor(message: string, details: BodyParserErrorDetails) {
+    super(message, details.cause !== undefined ? {cause: details.cause} : undefined);
+    this.name = 'BodyParserError';
+    this.status = details.status;
+    this.statusCode = details.status;
+    this.code = details.code;
+    this.limit = details.limit;
+    this.field = details.field;
+    this.errors = details.errors;
+  }
+
+  toProblemDetails(): BodyParserProblemDetails {
+    return {
+      type: 'about:blank',
+      title: STATUS_CODES[this.status]!,
+      status: this.status,
+      detail: this.message,
+      code: this.code,
+      ...(this.limit !== undefined && {limit: this.limit}),
+      ...(this.field !== undefined && {field: this.field}),
+      ...(this.errors !== undefined && {errors: this.errors}),
+    };
+  }
+}
+
+type MulterLimits = NonNullable<import('multer').Options['limits']>
+
+const bodyParserErrorTypes: Record<string, Pick<BodyParserErrorDetails, 'status' | 'code'>> = {
+  'entity.parse.failed': {status: 400, code: 'MALFORMED_BODY'},
+  'request.size.invalid': {status: 400, code: 'MALFORMED_BODY'},
+  'request.aborted': {status: 400, code: 'REQUEST_ABORTED'},
+  'entity.too.large': {status: 413, code: 'BODY_TOO_LARGE'},
+  'parameters.too.many': {status: 413, code: 'TOO_MANY_PARAMETERS'},
+  'charset.unsupported': {status: 415, code: 'UNSUPPORTED_CHARSET'},
+  'encoding.unsupported': {status: 415, code: 'UNSUPPORTED_ENCODING'},
+};
+
+const multerLimitKeys: Partial<Record<MulterError['code'], keyof MulterLimits>> = {
+  LIMIT_FILE_SIZE: 'fileSize',
+  LIMIT_FILE_COUNT: 'files',
+  LIMIT_FIELD_COUNT: 'fields',
+  LIMIT_FIELD_KEY: 'fieldNameSize',
+  LIMIT_FIELD_VALUE: 'fieldSize',
+  LIMIT_PART_COUNT: 'parts',
+};
+
+// errors busboy raises for broken multipart bodies, multer passes them on as they are
+const malformedMultipart = /^(Multipart: |Unexpected end of form|Malformed part header)/;
+
+/**
+ * Converts errors of express.json/urlencoded/raw/text and multer into a BodyParserError.
+ * Returns null for other errors, e.g. a failing storage engine, which are passed on unchanged.
+ */
+export const toBodyParserError = (err: unknown, multipartLimits: MulterLimits = {}): BodyParserError | null => {
+  if (err instanceof BodyParserError) return err;
+  if (!(err instanceof Error)) return null;
+
+  const {type, limit, code, field} = err as Error & { type?: string, limit?: unknown, code?: string, field?: string };
+
+  const known = type !== undefined ? bodyParserErrorTypes[type] : undefined;
+  if (known) {
+    return new BodyParserError(err.message, {
+      ...known,
+      ...(typeof limit === 'number' && {limit}),
+      cause: err
+    });
+  }
+
+  if (err.name === 'MulterError') {
+    const multerCode = code as MulterError['code'];
+    const limitKey = multerLimitKeys[multerCode];
+    const multerLimit = limitKey ? multipartLimits[limitKey] : undefined;
+
+    return new BodyParserError(err.message, {
+      status: limitKey ? 413 : 400,
+      code: multerCode,
+      ...(multerLimit !== undefined && {limit: multerLimit}),
+      ...(field !== undefined && {field}),
+      cause: err
+    });
+  }
+
+  if (malformedMultipart.test(err.message)) {
+    return new BodyParserError(err.message, {status: 400, code: 'MALFORMED_BODY', cause: err});
+  }
+
+  return null;
+}
@@ -1,31 +1,106 @@
 import type {NextFunction, Request, RequestHandler, Response} from "express";
-import type {BodyParserOptions} from "./types/types.js";
+import type {BodyParserOptions, BodyParserRoute} from "./types/types.js";
 import {LIMIT_20_MB} from "./types/constants.js";
 import {jsonMiddleware} from "./middlewares/JsonMiddleware.js";
 import {urlEncodedMiddleware} from "./middlewares/UrlEncodedMiddleware.js";
 import {multipartMiddleware} from "./middlewares/MultipartMiddleware.js";
 import {rawMiddleware} from "./middlewares/RawMiddleware.js";
-import {runMiddlewares} from "../utils/runMiddlewares.js";
+import {type ContentTypeParser, parseMediaType} from "./utils/contentType.js";
+import {createPathMatcher} from "../utils/createPathMatcher.js";
+import {BodyParserError, toBodyParserError} from "./BodyParserError.js";
+import {createEncodingGuard} from "./utils/encodingGuard.js";
 
+const BODYLESS_METHODS = new Set(['GET', 'HEAD', 'OPTIONS'])
+
+const unsupportedMediaType = (mediaType: string): BodyParserError =>
+  new BodyParserError(`Unsupported content type "${mediaType}"`, {status: 415, code: 'UNSUPPORTED_MEDIA_TYPE'})
+
+/**
+ * Merges a route's options over the global options, parser options set on the route replace the global ones
+ */
+const mergeRouteOptions = (defaults: BodyParserOptions, route: BodyParserRoute): BodyParserOptions => {
+  const {path: _path, method: _method, ...overrides} = route
+  return {
+    ...defaults,
+    ...overrides,
+    middleware: {...defaults.middleware, ...overrides.middleware}
+  }
+}
+
+const createRouteMatcher = (route: BodyParserRoute, index: number): (req: Request) => boolean => {
+  const matchesPath = createPathMatcher(route.path)
+  if (!matchesPath) {
+    throw new Error(`bodyParser: routes[${index}].path must be a path starting with "/" or a RegExp`)
+  }
+
+  if (route.method === undefined) return matchesPath
+
+  const methods = new Set((Array.isArray(route.method) ? route.method : [route.method]).map(method => {
+    if (typeof method !== 'string' || !method) {
+      throw new Error(`bodyParser: routes[${index}].method must be an HTTP method or an array of them`)
+    }
+    return method.toUpperCase()
+  }))
+
+  return req => methods.has(req.method) && matchesPath(req)
+}
+
+/**
+ * Creates the body parser. With `routes`, a parser is created per route at startup and the first route
+ * matching the request's path and method is used, all other requests use the global options.
+ */
 export function bodyParserMiddleware(options: BodyParserOptions = {}): RequestHandler {
 
+  const {routes, ...defaults} = options
+
+  if (routes !== undefined && !Array.isArray(routes)) {
+    throw new Error('bodyParser: routes must be an array')
+  }
+
+  const defaultParser = createBodyParser(defaults)
+  if (!routes?.length) return defaultParser
+
+  const routeParsers = routes.map((route, index) => ({
+    matches: createRouteMatcher(route, index),
+    parser: createBodyParser(mergeRouteOptions(defaults, route))
+  }))
+
+  return (req: Request, res: Response, next: NextFunction) =>
+    (routeParsers.find(route => route.matches(req))?.parser ?? defaultParser)(req, res, next)
+}
+
+function createBodyParser(options: BodyParserOptions): RequestHandler {
+
   const {
     multipartLimit = LIMIT_20_MB,
     jsonLimit = LIMIT_20_MB,
+    fallback = 'ignore',
+    onError,
+    encoding,
     middleware = {}
   } = options
 
   const {json = {}, urlencoded = {}, multipart = false, raw = false} = middleware
-  const middlewares: RequestHandler[] = []
+  const parsers: ContentTypeParser[] = []
 
   if (options.jsonLimit && middleware.json && middleware.json.limit) {
     throw new Error('Cannot set both "jsonLimit" and "json.limit".')
   }
 
+  if (!['ignore', 'reject'].includes(fallback as string) && typeof fallback !== 'function') {
+    throw new Error('bodyParser: fallback must be "ignore", "reject" or a request handler')
+  }
+
+  if (onError !== undefined && typeof onError !== 'function') {
+    throw new Error('bodyParser: onError must be a function')
+  }
+
   if (options.multipartLimit && middleware.multipart && middleware.multipart.limits?.fileSize) {
     throw new Error('Cannot set both "multipartLimit" and "multipart.limits.fileSize".')
   }
 
+  const encodingGuard = createEncodingGuard(encoding)
+
   const jsonOptions = json === false
     ? false
     : {
@@ -45,13 +120,41 @@ export function bodyParserMiddleware(options: BodyParserOptions = {}): RequestHa
       } : {})
     }
 
-  if (jsonOptions !== false) jsonMiddleware(middlewares, options, jsonOptions)
-  if (urlencoded !== false) urlEncodedMiddleware(middlewares, options, urlencoded)
-  if (multipartOptions !== false) multipartMiddleware(middlewares, options, multipartOptions)
-  if (raw !== false) rawMiddleware(middlewares, options, raw)
+  // the order decides which parser wins when configured types overlap
+  if (jsonOptions !== false) jsonMiddleware(parsers, options, jsonOptions)
+  if (urlencoded !== false) urlEncodedMiddleware(parsers, options, urlencoded)
+  if (multipartOptions !== false) multipartMiddleware(parsers, options, multipartOptions)
+  if (raw !== false) rawMiddleware(parsers, options, raw)
+
+  const fallbackHandler: RequestHandler = typeof fallback === 'function'
+    ? fallback
+    : fallback === 'reject'
+      ? (req, _res, next) => next(unsupportedMediaType(parseMediaType(req.headers['content-type'])!))
+      : (_req, _res, next) => next()
 
   return (req: Request, res: Response, next: NextFunction) => {
     req.groupedFiles = {}
-    return runMiddlewares(middlewares, req, res, next)
+
+    if (BODYLESS_METHODS.has(req.method)) return next()
+
+    // requests without Content-Type carry no body to parse
+    const mediaType = parseMediaType(req.headers['content-type'])
+    if (!mediaType) return next()
+
+    const done = (err?: unknown) => {
+      if (!err) return next()
+
+      const error = toBodyParserError(err, multipartOptions ? multipartOptions.limits : undefined)
+      if (!error) return next(err)
+      if (onError) return onError(error, req, res, next)
+      next(error)
+    }
+
+    const encodingError = encodingGuard.check(req)
+    if (encodingError) return done(encodingError)
+    encodingGuard.watch(req)
+
+    const parser = parsers.find(parser => parser.matches(mediaType))
+    return (parser?.handler ?? fallbackHandler)(req, res, done)
   }
 }
@@ -3,4 +3,14 @@ import "./types/express.js"
 export * from "./types/types.js";
 export * from "./types/constants.js";
 export {bodyParserMiddleware} from "./bodyParserMiddleware.js";
+export {validateBody, type ValidateBodyOptions} from "./validateBody.js";
+export {keepUploadedFile} from "./utils/tempFiles.js";
+export type {JsonSchema, JsonSchemaType, BodyValidationIssue} from "./utils/compileSchema.js";
+export {
+  BodyParserError,
+  type BodyParserErrorCode,
+  type BodyParserErrorStatus,
+  type BodyParserErrorDetails,
+  type BodyParserProblemDetails
+} from "./BodyParserError.js";
 
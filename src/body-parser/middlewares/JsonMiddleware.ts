@@ -1,11 +1,16 @@
 import type {BodyParserOptions, JsonOptions} from "../types/types.js";
-import express, {type RequestHandler} from "express";
+import express from "express";
 import {withRawBody} from "../utils/withRawBody.js";
+import {type ContentTypeParser, createMediaTypeMatcher} from "../utils/contentType.js";
 
 export function jsonMiddleware(
-  middlewares: RequestHandler[],
+  parsers: ContentTypeParser[],
   options: BodyParserOptions,
   json: JsonOptions
 ) {
-  middlewares.push(express.json(options.rawBody ? withRawBody(json) : json))
+  parsers.push({
+    matches: createMediaTypeMatcher(json.type ?? 'application/json'),
+    // the parser is only selected for matching requests, so it must not check the type again
+    handler: express.json({...(options.rawBody ? withRawBody(json) : json), type: () => true})
+  })
 }
@@ -1,8 +1,13 @@
 import type {RequestHandler} from "express";
 import type {BodyParserOptions, MultipartOptions} from "../types/types.js";
+import {type ContentTypeParser, createMediaTypeMatcher} from "../utils/contentType.js";
+import {runMiddlewares} from "../../utils/runMiddlewares.js";
+import {createTempFileStorage} from "../utils/tempFiles.js";
+import {createInspectingStorage} from "../utils/inspectFiles.js";
+import {createSinkStorage} from "../utils/sinkStorage.js";
 
 export function multipartMiddleware(
-  middlewares: RequestHandler[],
+  parsers: ContentTypeParser[],
   _options: BodyParserOptions,
   multipart: MultipartOptions,
 ) {
@@ -12,10 +17,21 @@ export function multipartMiddleware(
   }
 
   const multer = multipart.multer
-  const {storage, fileFilter, limits} = multipart
+  const {storage, disk, sink, fields, digest, fileFilter, limits} = multipart
+
+  const [first, second] = (['storage', 'disk', 'sink'] as const).filter(option => multipart[option])
+  if (second) {
+    throw new Error(`Cannot set both "multipart.${first}" and "multipart.${second}".`)
+  }
+
+  const tempFiles = disk ? createTempFileStorage(multer, disk) : null
+  const targetStorage = tempFiles?.storage ?? (sink ? createSinkStorage(sink) : storage ?? multer.memoryStorage())
 
   const multerOptions: Record<string, unknown> = {
-    storage: storage ?? multer.memoryStorage(),
+    storage: createInspectingStorage(targetStorage, {
+      ...(fields !== undefined && {fields}),
+      ...(digest !== undefined && {digest}),
+    }),
     limits
   }
 
@@ -25,8 +41,7 @@ export function multipartMiddleware(
 
   const upload = multer(multerOptions)
 
-  middlewares.push(upload.any())
-  middlewares.push((req, _res, next) => {
+  const groupFiles: RequestHandler = (req, _res, next) => {
     if (Array.isArray(req.files)) {
       req.groupedFiles = req.files.reduce((acc, file) => {
         acc[file.fieldname] ??= []
@@ -35,5 +50,12 @@ export function multipartMiddleware(
       }, {} as Record<string, Express.Multer.File[]>)
     }
     next()
+  }
+
+  const middlewares = tempFiles ? [tempFiles.cleanup, upload.any(), groupFiles] : [upload.any(), groupFiles]
+
+  parsers.push({
+    matches: createMediaTypeMatcher('multipart/form-data'),
+    handler: (req, res, next) => runMiddlewares(middlewares, req, res, next)
   })
 }
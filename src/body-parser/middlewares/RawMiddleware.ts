@@ -1,12 +1,20 @@
 import type {BodyParserOptions, RawOptions} from "../types/types.js";
-import express, {type RequestHandler} from "express";
+import express from "express";
 import {withRawBody} from "../utils/withRawBody.js";
+import {type ContentTypeParser, createMediaTypeMatcher} from "../utils/contentType.js";
 
 export function rawMiddleware(
-  middlewares: RequestHandler[],
+  parsers: ContentTypeParser[],
   options: BodyParserOptions,
   raw: RawOptions
 ) {
-  middlewares.push(express.raw(options.rawBody ? withRawBody(raw) : raw))
-  middlewares.push(express.text(raw))
+  // a custom type applies to both, raw is checked first and wins
+  parsers.push({
+    matches: createMediaTypeMatcher(raw.type ?? 'application/octet-stream'),
+    handler: express.raw({...(options.rawBody ? withRawBody(raw) : raw), type: () => true})
+  })
+  parsers.push({
+    matches: createMediaTypeMatcher(raw.type ?? 'text/plain'),
+    handler: express.text({...raw, type: () => true})
+  })
 }
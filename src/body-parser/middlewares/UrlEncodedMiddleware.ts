@@ -1,11 +1,19 @@
 import type {BodyParserOptions, UrlEncodedOptions} from "../types/types.js";
-import express, {type RequestHandler} from "express";
+import express from "express";
 import {withRawBody} from "../utils/withRawBody.js";
+import {type ContentTypeParser, createMediaTypeMatcher} from "../utils/contentType.js";
 
 export function urlEncodedMiddleware(
-  middlewares: RequestHandler[],
+  parsers: ContentTypeParser[],
   options: BodyParserOptions,
   urlencoded: UrlEncodedOptions
 ) {
-  middlewares.push(express.urlencoded({extended: false, ...(options.rawBody ? withRawBody(urlencoded) : urlencoded)}))
+  parsers.push({
+    matches: createMediaTypeMatcher(urlencoded.type ?? 'application/x-www-form-urlencoded'),
+    handler: express.urlencoded({
+      extended: false,
+      ...(options.rawBody ? withRawBody(urlencoded) : urlencoded),
+      type: () => true
+    })
+  })
 }
@@ -5,4 +5,21 @@ declare module "express-serve-static-core" {
   }
 }
 
+declare global {
+  namespace Express {
+    namespace Multer {
+      interface File {
+        /**
+         * Type detected from the file content, null if unknown
+         */
+        detectedType?: string | null
+        /**
+         * Hex digest of the file content, if `multipart.digest` is set
+         */
+        digest?: string
+      }
+    }
+  }
+}
+
 export {};
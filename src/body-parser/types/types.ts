@@ -15,21 +15,149 @@ export type RawOptions = {
   type?: string | string[]
 }
 
+export type MultipartDiskOptions = {
+  /**
+   * Directory the uploaded files are written to, created if missing
+   * @default join(os.tmpdir(), "express-middlewares-uploads")
+   */
+  directory?: string
+  /**
+   * Files in the directory older than this (in ms) are removed at startup, e.g. left behind by a crashed process.
+   * Keep it above the longest upload when several processes share the directory.
+   * @default 3600000
+   */
+  orphanMaxAge?: number
+}
+
+export type MultipartFieldRule = {
+  /**
+   * Allowed types detected from the file content (magic bytes), e.g. ["image/png", "image/*"].
+   * Content without a known signature is detected as "text/plain" if it is UTF-8, otherwise it is rejected.
+   */
+  types?: string[]
+  /**
+   * Allowed file name extensions, e.g. [".png", ".jpg"], compared case-insensitively
+   */
+  extensions?: string[]
+  /**
+   * Maximum number of files in the field
+   */
+  maxCount?: number
+  /**
+   * Maximum size in bytes per file in the field
+   */
+  maxSize?: number
+}
+
+export type MultipartSinkFile = Pick<Express.Multer.File, 'fieldname' | 'originalname' | 'encoding' | 'mimetype'>
+
+export type MultipartSink = {
+  /**
+   * Consumes the file stream, e.g. by piping it to an object store. The upload waits until the stream ended,
+   * a stream left unread is drained; the resolved properties (e.g. a storage key) are added to the file.
+   */
+  write: (
+    stream: import('node:stream').Readable,
+    file: MultipartSinkFile,
+    req: import('express').Request
+  ) => Promise<Record<string, unknown> | void> | Record<string, unknown> | void
+  /**
+   * Removes a written file again when the upload fails afterwards, e.g. because a later file breaks a limit
+   */
+  remove?: (file: Express.Multer.File, req: import('express').Request) => Promise<void> | void
+}
+
 export type MultipartOptions = {
   multer: typeof import('multer')
   storage?: import('multer').StorageEngine
+  /**
+   * Writes uploads to a temp directory and removes them once the response is finished or the connection closed,
+   * unless marked with keepUploadedFile
+   */
+  disk?: MultipartDiskOptions | true
+  /**
+   * Rules per field name, files in other fields are only subject to `limits`
+   */
+  fields?: Record<string, MultipartFieldRule>
+  /**
+   * Hash algorithm of node:crypto (e.g. "sha256", "md5"), the hex digest of each file is computed while it
+   * streams in and set as `file.digest`
+   */
+  digest?: string
+  /**
+   * Streams every file to a custom destination instead of memory or disk
+   */
+  sink?: MultipartSink
   fileFilter?: import('multer').Options['fileFilter']
   limits?: import('multer').Options['limits']
 }
 
+export type BodyParserErrorHandler = (
+  err: import('../BodyParserError.js').BodyParserError,
+  req: import('express').Request,
+  res: import('express').Response,
+  next: import('express').NextFunction
+) => void
+
+export type ContentEncoding = 'identity' | 'gzip' | 'deflate' | 'br'
+
+export type BodyEncodingOptions = {
+  /**
+   * Content-Encodings accepted, others are rejected with 415 before the body is read
+   * @default ["identity", "gzip", "deflate", "br"]
+   */
+  allowed?: ContentEncoding[]
+  /**
+   * Maximum size in bytes of a compressed body after inflating, checked while inflating
+   */
+  maxInflatedSize?: number
+  /**
+   * Maximum ratio of inflated to compressed bytes, checked while inflating
+   */
+  maxRatio?: number
+}
+
+export type BodyParserFallback = 'ignore' | 'reject' | import('express').RequestHandler
+
 export type BodyParserOptions = {
   jsonLimit?: number
   multipartLimit?: number
   rawBody?: boolean
+  /**
+   * Handling of a Content-Type no enabled parser accepts: "ignore" leaves req.body untouched,
+   * "reject" passes a 415 error to next, a request handler parses the body itself
+   * @default "ignore"
+   */
+  fallback?: BodyParserFallback
+  /**
+   * Limits for compressed (Content-Encoding) bodies
+   */
+  encoding?: BodyEncodingOptions
+  /**
+   * Called instead of next(err) when a body cannot be parsed, e.g. to send problem+json responses.
+   * Other errors (e.g. of a multer storage engine) are passed to next unchanged.
+   */
+  onError?: BodyParserErrorHandler
   middleware?: {
     json?: JsonOptions | false
     urlencoded?: UrlEncodedOptions | false
     multipart?: MultipartOptions | false
     raw?: RawOptions | false
   }
+  /**
+   * Requests matching a route are parsed with the global options overridden by the route's options,
+   * the first matching route wins
+   */
+  routes?: BodyParserRoute[]
+}
+
+export type BodyParserRoute = Omit<BodyParserOptions, 'routes'> & {
+  /**
+   * Path prefix ("/upload" matches "/upload" and "/upload/avatar") or a RegExp tested against the path
+   */
+  path: string | RegExp
+  /**
+   * HTTP method(s) the route applies to, all methods when omitted
+   */
+  method?: string | string[]
 }
@@ -0,0 +1,267 @@
+export type JsonSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'null' | 'array' | 'object'
+
+/**
+ * The subset of JSON Schema (draft 2020-12) supported by validateBody
+ */
+export type JsonSchema = boolean | {
+  type?: JsonSchemaType | JsonSchemaType[]
+  properties?: Record<string, JsonSchema>
+  required?: string[]
+  additionalProperties?: JsonSchema
+  items?: JsonSchema
+  enum?: unknown[]
+  const?: unknown
+  pattern?: string
+  minLength?: number
+  maxLength?: number
+  minimum?: number
+  maximum?: number
+  exclusiveMinimum?: number
+  exclusiveMaximum?: number
+  minItems?: number
+  maxItems?: number
+  $schema?: string
+  $id?: string
+  $comment?: string
+  title?: string
+  description?: string
+  default?: unknown
+  examples?: unknown[]
+  format?: string
+}
+
+export type BodyValidationIssue = {
+  /**
+   * JSON Pointer to the failing value, "" for the body itself
+   */
+  path: string
+  keyword: string
+  message: string
+}
+
+/**
+ * Validates a value and returns it, with strings converted to the schema's type when `coerce` is set
+ */
+export type SchemaValidator = (value: unknown, path: string, issues: BodyValidationIssue[], coerce: boolean) => unknown
+
+const supportedKeywords = new Set([
+  'type', 'properties', 'required', 'additionalProperties', 'items', 'enum', 'const', 'pattern',
+  'minLength', 'maxLength', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minItems', 'maxItems',
+  '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'format'
+])
+
+const jsonTypes = new Set<string>(['string', 'number', 'integer', 'boolean', 'null', 'array', 'object'])
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+const hasType = (value: unknown, type: JsonSchemaType): boolean => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string'
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+    case 'integer':
+      return Number.isInteger(value)
+    case 'boolean':
+      return typeof value === 'boolean'
+    case 'null':
+      return value === null
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return isObject(value)
+  }
+}
+
+/**
+ * Converts form values (urlencoded, multipart fields), which are always strings, to the first matching type
+ */
+const coerceType = (value: unknown, types: JsonSchemaType[]): unknown => {
+  if (types.some(type => hasType(value, type))) return value
+
+  for (const type of types) {
+    if (type === 'array') return [value]
+    if (typeof value !== 'string') continue
+
+    const number = value.trim() === '' ? NaN : Number(value)
+    if (type === 'number' && Number.isFinite(number)) return number
+    if (type === 'integer' && Number.isInteger(number)) return number
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true'
+    if (type === 'null' && value === '') return null
+  }
+
+  return value
+}
+
+const equals = (a: unknown, b: unknown): boolean => {
+  if (a === b) return true
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => equals(item, b[i]))
+  if (!isObject(a) || !isObject(b)) return false
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(key => key in b && equals(a[key], b[key]))
+}
+
+const escapePointer = (segment: string): string => segment.replace(/~/g, '~0').replace(/\//g, '~1')
+
+const assertNumber = (schema: Record<string, unknown>, keyword: string, location: string): void => {
+  if (schema[keyword] !== undefined && (typeof schema[keyword] !== 'number' || !Number.isFinite(schema[keyword]))) {
+    throw new Error(`validateBody: "${keyword}" must be a number at ${location}`)
+  }
+}
+
+/**
+ * Compiles a JSON Schema into a validator once, so requests only run the prepared checks.
+ * Throws for keywords that are not supported instead of silently ignoring them.
+ *
+ * @param location - Schema location for error messages, e.g. "#/properties/name"
+ */
+export const compileSchema = (schema: JsonSchema, location = '#'): SchemaValidator => {
+  if (schema === true) return value => value
+  if (schema === false) {
+    return (value, path, issues) => {
+      issues.push({path, keyword: 'false', message: 'is not allowed'})
+      return value
+    }
+  }
+
+  if (!isObject(schema)) {
+    throw new Error(`validateBody: schema must be an object or a boolean at ${location}`)
+  }
+
+  for (const keyword of Object.keys(schema)) {
+    if (!supportedKeywords.has(keyword)) {
+      throw new Error(`validateBody: unsupported keyword "${keyword}" at ${location}`)
+    }
+  }
+
+  for (const keyword of ['minLength', 'maxLength', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minItems', 'maxItems']) {
+    assertNumber(schema, keyword, location)
+  }
+
+  const types = schema.type === undefined ? [] : Array.isArray(schema.type) ? schema.type : [schema.type]
+  if (types.some(type => !jsonTypes.has(type))) {
+    throw new Error(`validateBody: unknown type "${types.find(type => !jsonTypes.has(type))}" at ${location}`)
+  }
+
+  const required = schema.required ?? []
+  if (!Array.isArray(required) || required.some(name => typeof name !== 'string')) {
+    throw new Error(`validateBody: "required" must be an array of strings at ${location}`)
+  }
+
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    throw new Error(`validateBody: "enum" must be an array at ${location}`)
+  }
+
+  let pattern: RegExp | null = null
+  if (schema.pattern !== undefined) {
+    try {
+      pattern = new RegExp(schema.pattern, 'u')
+    } catch {
+      throw new Error(`validateBody: invalid pattern "${schema.pattern}" at ${location}`)
+    }
+  }
+
+  const properties = Object.entries(schema.properties ?? {}).map(([name, propertySchema]) => ({
+    name,
+    validate: compileSchema(propertySchema, `${location}/properties/${escapePointer(name)}`)
+  }))
+  const knownProperties = new Set(properties.map(({name}) => name))
+  const additionalProperties: SchemaValidator | null = schema.additionalProperties === undefined
+    ? null
+    : schema.additionalProperties === false
+      ? (value, path, issues) => {
+        issues.push({path, keyword: 'additionalProperties', message: 'is not allowed'})
+        return value
+      }
+      : compileSchema(schema.additionalProperties, `${location}/additionalProperties`)
+  const items = schema.items === undefined ? null : compileSchema(schema.items, `${location}/items`)
+  const {minLength, maxLength, minimum, maximum, exclusiveMinimum, exclusiveMaximum, minItems, maxItems} = schema
+
+  return (value, path, issues, coerce) => {
+    if (coerce && types.length) value = coerceType(value, types)
+
+    if (types.length && !types.some(type => hasType(value, type))) {
+      issues.push({path, keyword: 'type', message: `must be ${types.join(' or ')}`})
+      return value
+    }
+
+    if (schema.enum && !schema.enum.some(allowed => equals(value, allowed))) {
+      issues.push({path, keyword: 'enum', message: 'must be one of the allowed values'})
+    }
+
+    if ('const' in schema && !equals(value, schema.const)) {
+      issues.push({path, keyword: 'const', message: 'must be equal to the constant'})
+    }
+
+    if (typeof value === 'string') {
+      const length = [...value].length
+      if (minLength !== undefined && length < minLength) {
+        issues.push({path, keyword: 'minLength', message: `must not have fewer than ${minLength} characters`})
+      }
+      if (maxLength !== undefined && length > maxLength) {
+        issues.push({path, keyword: 'maxLength', message: `must not have more than ${maxLength} characters`})
+      }
+      if (pattern && !pattern.test(value)) {
+        issues.push({path, keyword: 'pattern', message: `must match pattern "${schema.pattern}"`})
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (minimum !== undefined && value < minimum) {
+        issues.push({path, keyword: 'minimum', message: `must be >= ${minimum}`})
+      }
+      if (maximum !== undefined && value > maximum) {
+        issues.push({path, keyword: 'maximum', message: `must be <= ${maximum}`})
+      }
+      if (exclusiveMinimum !== undefined && value <= exclusiveMinimum) {
+        issues.push({path, keyword: 'exclusiveMinimum', message: `must be > ${exclusiveMinimum}`})
+      }
+      if (exclusiveMaximum !== undefined && value >= exclusiveMaximum) {
+        issues.push({path, keyword: 'exclusiveMaximum', message: `must be < ${exclusiveMaximum}`})
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (minItems !== undefined && value.length < minItems) {
+        issues.push({path, keyword: 'minItems', message: `must not have fewer than ${minItems} items`})
+      }
+      if (maxItems !== undefined && value.length > maxItems) {
+        issues.push({path, keyword: 'maxItems', message: `must not have more than ${maxItems} items`})
+      }
+      if (items) {
+        const validated = value.map((item, index) => items(item, `${path}/${index}`, issues, coerce))
+        if (coerce) value = validated
+      }
+    }
+
+    if (isObject(value)) {
+      const object: Record<string, unknown> = coerce ? {...value} : value
+
+      for (const name of required) {
+        if (!Object.hasOwn(object, name)) {
+          issues.push({path: `${path}/${escapePointer(name)}`, keyword: 'required', message: 'is required'})
+        }
+      }
+
+      const validateProperty = (name: string, validate: SchemaValidator): void => {
+        const validated = validate(object[name], `${path}/${escapePointer(name)}`, issues, coerce)
+        if (coerce) object[name] = validated
+      }
+
+      for (const {name, validate} of properties) {
+        if (Object.hasOwn(object, name)) validateProperty(name, validate)
+      }
+
+      if (additionalProperties) {
+        for (const name of Object.keys(object)) {
+          if (!knownProperties.has(name)) validateProperty(name, additionalProperties)
+        }
+      }
+
+      value = object
+    }
+
+    return value
+  }
+}
@@ -0,0 +1,58 @@
+import type {RequestHandler} from "express";
+
+/**
+ * A parser that handles requests whose media type matches `matches`
+ */
+export type ContentTypeParser = {
+  matches: (mediaType: string) => boolean
+  handler: RequestHandler
+}
+
+/**
+ * Returns the lower-cased media type of a Content-Type header without parameters, e.g. "application/json"
+ */
+export const parseMediaType = (header: string | undefined): string | null => {
+  const mediaType = header?.split(';', 1)[0]!.trim().toLowerCase();
+  return mediaType ? mediaType : null;
+}
+
+// shorthands accepted by the type option of body-parser (type-is), normalized the same way
+const shorthands: Record<string, string> = {
+  json: 'application/json',
+  text: 'text/plain',
+  html: 'text/html',
+  xml: 'application/xml',
+  urlencoded: 'application/x-www-form-urlencoded',
+  multipart: 'multipart/*',
+};
+
+const normalizeMediaType = (pattern: string): string => {
+  const type = pattern.trim().toLowerCase();
+  if (type.startsWith('+')) return `*/*${type}`;
+  return shorthands[type] ?? type;
+}
+
+/**
+ * Compiles media type patterns into a matcher. Supported are exact types ("application/json"),
+ * wildcards ("text/*", "*\/*"), structured syntax suffixes ("application/*+json", "+json")
+ * and the shorthands "json", "text", "html", "xml", "urlencoded" and "multipart".
+ */
+export const createMediaTypeMatcher = (type: string | string[]): (mediaType: string) => boolean => {
+  const patterns = (Array.isArray(type) ? type : [type]).map(pattern => {
+    const [mainType, subType, ...rest] = normalizeMediaType(pattern).split('/');
+    if (!mainType || !subType || rest.length) {
+      throw new Error(`bodyParser: type "${pattern}" must be a media type like "application/json" or "text/*" or a shorthand like "json"`);
+    }
+    return {mainType, subType};
+  });
+
+  return mediaType => {
+    const [mainType = '', subType = ''] = mediaType.split('/');
+    return patterns.some(pattern => {
+      if (pattern.mainType !== '*' && pattern.mainType !== mainType) return false;
+      if (pattern.subType === '*') return true;
+      if (pattern.subType.startsWith('*+')) return subType.endsWith(pattern.subType.slice(1));
+      return pattern.subType === subType;
+    });
+  };
+}
@@ -0,0 +1,65 @@
+type Signature = {
+  type: string
+  bytes: (number | null)[]
+  offset?: number
+}
+
+const ascii = (text: string): number[] => [...text].map(char => char.charCodeAt(0))
+
+// null matches any byte
+const signatures: Signature[] = [
+  {type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]},
+  {type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff]},
+  {type: 'image/gif', bytes: ascii('GIF87a')},
+  {type: 'image/gif', bytes: ascii('GIF89a')},
+  {type: 'image/webp', bytes: [...ascii('RIFF'), null, null, null, null, ...ascii('WEBP')]},
+  {type: 'image/avif', bytes: ascii('ftypavif'), offset: 4},
+  {type: 'image/heic', bytes: ascii('ftypheic'), offset: 4},
+  {type: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00]},
+  {type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a]},
+  {type: 'image/bmp', bytes: [...ascii('BM'), null, null, null, null, 0x00, 0x00, 0x00, 0x00]},
+  {type: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00]},
+  {type: 'application/pdf', bytes: ascii('%PDF-')},
+  {type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04]},
+  {type: 'application/gzip', bytes: [0x1f, 0x8b]},
+  {type: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]},
+  {type: 'application/vnd.rar', bytes: [...ascii('Rar!'), 0x1a, 0x07]},
+  {type: 'application/x-msdownload', bytes: ascii('MZ')},
+  {type: 'application/x-elf', bytes: [0x7f, ...ascii('ELF')]},
+  {type: 'audio/wav', bytes: [...ascii('RIFF'), null, null, null, null, ...ascii('WAVE')]},
+  {type: 'audio/mpeg', bytes: ascii('ID3')},
+  {type: 'audio/mpeg', bytes: [0xff, 0xfb]},
+  {type: 'audio/ogg', bytes: ascii('OggS')},
+  {type: 'audio/flac', bytes: ascii('fLaC')},
+  {type: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3]},
+  {type: 'video/quicktime', bytes: ascii('ftypqt'), offset: 4},
+  {type: 'video/mp4', bytes: ascii('ftyp'), offset: 4},
+]
+
+/**
+ * Number of leading bytes detectFileType needs to recognize every signature
+ */
+export const signatureLength = Math.max(...signatures.map(({bytes, offset = 0}) => offset + bytes.length))
+
+const matchesSignature = (chunk: Buffer, {bytes, offset = 0}: Signature): boolean =>
+  chunk.length >= offset + bytes.length && bytes.every((byte, index) => byte === null || chunk[offset + index] === byte)
+
+const isText = (chunk: Buffer): boolean => {
+  if (!chunk.length || chunk.includes(0x00)) return false
+  try {
+    // stream: true accepts a character cut off at the end of the chunk
+    new TextDecoder('utf-8', {fatal: true}).decode(chunk, {stream: true})
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Detects the type of a file from the magic bytes at the start of its content, independent of what the client declared.
+ * Pass at least signatureLength bytes (or the whole file if it is shorter).
+ * UTF-8 content without a known signature is reported as "text/plain" (also CSV, SVG, HTML, …).
+ * Returns null for unknown binary content and empty files.
+ */
+export const detectFileType = (chunk: Buffer): string | null =>
+  signatures.find(signature => matchesSignature(chunk, signature))?.type ?? (isText(chunk) ? 'text/plain' : null)
@@ -0,0 +1,88 @@
+import zlib from "node:zlib";
+import type {Request} from "express";
+import type {BodyEncodingOptions, ContentEncoding} from "../types/types.js";
+import {BodyParserError} from "../BodyParserError.js";
+
+const contentEncodings: ContentEncoding[] = ['identity', 'gzip', 'deflate', 'br']
+
+const isDecompressionStream = (stream: NodeJS.WritableStream): stream is zlib.Gunzip | zlib.Inflate | zlib.BrotliDecompress =>
+  stream instanceof zlib.Gunzip || stream instanceof zlib.Inflate || stream instanceof zlib.BrotliDecompress
+
+export type EncodingGuard = {
+  /**
+   * Returns a 415 error if the request's Content-Encoding is not allowed
+   */
+  check(req: Request): BodyParserError | null
+  /**
+   * Aborts the decompression of the request body once it exceeds maxInflatedSize or maxRatio
+   */
+  watch(req: Request): void
+}
+
+/**
+ * Creates the checks for the `encoding` option. The JSON, urlencoded, raw and text parsers pipe the request into
+ * a decompression stream; `watch` hooks into that pipe to count the compressed and inflated bytes as they flow,
+ * so a decompression bomb is stopped after a few chunks instead of being inflated up to the body limit.
+ */
+export const createEncodingGuard = (options: BodyEncodingOptions = {}): EncodingGuard => {
+  const {allowed = contentEncodings, maxInflatedSize, maxRatio} = options
+
+  if (!Array.isArray(allowed) || allowed.some(encoding => !contentEncodings.includes(encoding))) {
+    throw new Error(`bodyParser: encoding.allowed must only contain ${contentEncodings.map(e => `"${e}"`).join(', ')}`)
+  }
+
+  if (maxInflatedSize !== undefined && (!Number.isInteger(maxInflatedSize) || maxInflatedSize < 1)) {
+    throw new Error('bodyParser: encoding.maxInflatedSize must be an integer > 0')
+  }
+
+  if (maxRatio !== undefined && (typeof maxRatio !== 'number' || !(maxRatio >= 1))) {
+    throw new Error('bodyParser: encoding.maxRatio must be a number >= 1')
+  }
+
+  const contentEncoding = (req: Request): string =>
+    (req.headers['content-encoding'] ?? 'identity').trim().toLowerCase() || 'identity'
+
+  return {
+    check(req) {
+      const encoding = contentEncoding(req)
+      if ((allowed as string[]).includes(encoding)) return null
+
+      return new BodyParserError(`Unsupported content encoding "${encoding}"`, {status: 415, code: 'UNSUPPORTED_ENCODING'})
+    },
+
+    watch(req) {
+      if (contentEncoding(req) === 'identity' || (maxInflatedSize === undefined && maxRatio === undefined)) return
+
+      const pipe = req.pipe
+      req.pipe = ((destination: NodeJS.WritableStream, pipeOptions?: { end?: boolean }) => {
+        req.pipe = pipe
+        const result = req.pipe(destination, pipeOptions)
+        if (!isDecompressionStream(destination)) return result
+
+        let compressed = 0
+        let inflated = 0
+        req.on('data', (chunk: Buffer) => compressed += chunk.length)
+
+        destination.on('data', (chunk: Buffer) => {
+          inflated += chunk.length
+
+          if (maxInflatedSize !== undefined && inflated > maxInflatedSize) {
+            destination.destroy(new BodyParserError('Inflated request body too large', {
+              status: 413,
+              code: 'BODY_TOO_LARGE',
+              limit: maxInflatedSize
+            }))
+          } else if (maxRatio !== undefined && inflated > compressed * maxRatio) {
+            destination.destroy(new BodyParserError('Request body compression ratio too high', {
+              status: 413,
+              code: 'COMPRESSION_RATIO_EXCEEDED',
+              limit: maxRatio
+            }))
+          }
+        })
+
+        return result
+      }) as typeof req.pipe
+    }
+  }
+}
@@ -0,0 +1,184 @@
+import crypto from "node:crypto";
+import path from "node:path";
+import {Transform} from "node:stream";
+import {finished} from "node:stream/promises";
+import type {Request} from "express";
+import type {StorageEngine} from "multer";
+import type {MultipartFieldRule, MultipartOptions} from "../types/types.js";
+import {BodyParserError} from "../BodyParserError.js";
+import {createMediaTypeMatcher} from "./contentType.js";
+import {detectFileType, signatureLength} from "./detectFileType.js";
+
+type CompiledRule = {
+  matchesType: ((mediaType: string) => boolean) | null
+  extensions: string[] | null
+  maxCount: number | undefined
+  maxSize: number | undefined
+}
+
+const assertLimit = (field: string, name: string, value: unknown): void => {
+  if (value !== undefined && (!Number.isInteger(value) || (value as number) < 1)) {
+    throw new Error(`bodyParser: multipart.fields.${field}.${name} must be an integer > 0`)
+  }
+}
+
+const assertStrings = (field: string, name: string, value: unknown): void => {
+  if (value !== undefined && (!Array.isArray(value) || value.some(entry => typeof entry !== 'string' || !entry))) {
+    throw new Error(`bodyParser: multipart.fields.${field}.${name} must be an array of non-empty strings`)
+  }
+}
+
+const compileRule = (field: string, rule: MultipartFieldRule): CompiledRule => {
+  assertStrings(field, 'types', rule.types)
+  assertStrings(field, 'extensions', rule.extensions)
+  assertLimit(field, 'maxCount', rule.maxCount)
+  assertLimit(field, 'maxSize', rule.maxSize)
+
+  return {
+    matchesType: rule.types ? createMediaTypeMatcher(rule.types) : null,
+    extensions: rule.extensions?.map(extension => `.${extension.replace(/^\./, '').toLowerCase()}`) ?? null,
+    maxCount: rule.maxCount,
+    maxSize: rule.maxSize,
+  }
+}
+
+const unsupportedFileType = (message: string, field: string): BodyParserError =>
+  new BodyParserError(message, {status: 415, code: 'UNSUPPORTED_FILE_TYPE', field})
+
+/**
+ * Wraps a multer storage engine to detect the type of every file from its first bytes (`file.detectedType`),
+ * to compute the configured digest (`file.digest`) and to enforce the per-field rules. The file stream is passed
+ * through a transform on its way to the storage engine, so nothing is read twice; a file breaking a rule is cut off,
+ * removed from the storage engine and the upload fails with a BodyParserError. Extensions and file counts are
+ * checked before anything is stored.
+ */
+export const createInspectingStorage = (
+  storage: StorageEngine,
+  {fields = {}, digest}: Pick<MultipartOptions, 'fields' | 'digest'>
+): StorageEngine => {
+  if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+    throw new Error('bodyParser: multipart.fields must be an object of field rules')
+  }
+
+  if (digest !== undefined && !crypto.getHashes().includes(digest)) {
+    throw new Error(`bodyParser: multipart.digest "${digest}" is not a supported hash algorithm, e.g. "sha256" or "md5"`)
+  }
+
+  const rules = new Map(Object.entries(fields).map(([field, rule]) => [field, compileRule(field, rule)]))
+  const fileCounts = new WeakMap<Request, Map<string, number>>()
+
+  return {
+    _handleFile(req, file, cb) {
+      const {fieldname: field, originalname} = file
+      const rule = rules.get(field)
+      const source = file.stream
+
+      const reject = (error: BodyParserError): void => {
+        source.resume()
+        cb(error)
+      }
+
+      if (rule?.maxCount !== undefined) {
+        const counts = fileCounts.get(req) ?? new Map<string, number>()
+        fileCounts.set(req, counts)
+        const count = (counts.get(field) ?? 0) + 1
+        counts.set(field, count)
+
+        if (count > rule.maxCount) {
+          return reject(new BodyParserError(`Too many files in field "${field}"`, {
+            status: 413, code: 'LIMIT_FILE_COUNT', limit: rule.maxCount, field
+          }))
+        }
+      }
+
+      if (rule?.extensions && !rule.extensions.includes(path.extname(originalname).toLowerCase())) {
+        return reject(unsupportedFileType(`File extension of "${originalname}" is not allowed in field "${field}"`, field))
+      }
+
+      let detectedType: string | null | undefined
+      // chunks held back until signatureLength bytes arrived for the detection
+      let head: Buffer[] = []
+      let size = 0
+      let rejection: BodyParserError | null = null
+      const hash = digest ? crypto.createHash(digest) : null
+
+      const detect = (content: Buffer): void => {
+        detectedType = detectFileType(content)
+        if (rule?.matchesType && !(detectedType && rule.matchesType(detectedType))) {
+          rejection = unsupportedFileType(
+            `Detected file type ${detectedType ? `"${detectedType}"` : 'unknown'} of "${originalname}" is not allowed in field "${field}"`,
+            field
+          )
+        }
+      }
+
+      const inspector = new Transform({
+        transform(chunk: Buffer, _encoding, callback) {
+          size += chunk.length
+
+          if (rule?.maxSize !== undefined && size > rule.maxSize) {
+            rejection = new BodyParserError(`File "${originalname}" is too large for field "${field}"`, {
+              status: 413, code: 'LIMIT_FILE_SIZE', limit: rule.maxSize, field
+            })
+          }
+
+          if (!rejection && detectedType === undefined) {
+            head.push(chunk)
+            if (size < signatureLength) return callback()
+
+            chunk = Buffer.concat(head)
+            head = []
+            detect(chunk)
+          }
+
+          if (!rejection) {
+            hash?.update(chunk)
+            return callback(null, chunk)
+          }
+
+          // ends the stored file early, the rest of the upload is drained
+          source.unpipe(inspector)
+          source.resume()
+          callback()
+          inspector.end()
+        },
+        flush(callback) {
+          if (!rejection && detectedType === undefined) {
+            // files shorter than signatureLength
+            const content = Buffer.concat(head)
+            detect(content)
+            if (!rejection) {
+              hash?.update(content)
+              this.push(content)
+            }
+          }
+          callback()
+        }
+      })
+
+      source.on('error', err => inspector.destroy(err))
+      Object.defineProperty(file, 'stream', {configurable: true, enumerable: false, value: inspector})
+      source.pipe(inspector)
+
+      storage._handleFile(req, file, (err, info) => {
+        if (rejection) {
+          if (err) return cb(rejection)
+          return storage._removeFile(req, {...file, ...info}, () => cb(rejection!))
+        }
+        if (err) return cb(err)
+
+        // size and digest are complete once every chunk went through, even if the storage engine called back earlier
+        finished(inspector).then(() => cb(null, {
+          size,
+          ...info,
+          detectedType: detectedType ?? null,
+          ...(hash && {digest: hash.digest('hex')})
+        }), cb)
+      })
+    },
+
+    _removeFile(req, file, cb) {
+      storage._removeFile(req, file, cb)
+    }
+  }
+}
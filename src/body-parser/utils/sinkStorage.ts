@@ -0,0 +1,45 @@
+import {finished} from "node:stream/promises";
+import type {StorageEngine} from "multer";
+import type {MultipartSink} from "../types/types.js";
+
+/**
+ * Creates a multer storage engine handing every file stream to `sink.write` instead of holding it in memory or
+ * on disk. The file is complete once `write` resolved and the stream ended; properties resolved by `write` are added
+ * to the file, `sink.remove` is called for files of an upload that fails afterwards.
+ */
+export const createSinkStorage = (sink: MultipartSink): StorageEngine => {
+  if (typeof sink?.write !== 'function') {
+    throw new Error('bodyParser: multipart.sink.write must be a function')
+  }
+
+  if (sink.remove !== undefined && typeof sink.remove !== 'function') {
+    throw new Error('bodyParser: multipart.sink.remove must be a function')
+  }
+
+  return {
+    _handleFile(req, file, cb) {
+      const {stream, fieldname, originalname, encoding, mimetype} = file
+
+      Promise.resolve()
+        .then(() => sink.write(stream, {fieldname, originalname, encoding, mimetype}, req))
+        .then(async info => {
+          // a sink ignoring the file would stall the upload, one still reading it is waited for
+          if (stream.readableFlowing === null) stream.resume()
+          await finished(stream, {writable: false})
+          return info
+        })
+        .then(info => cb(null, {...info}), (err: Error) => {
+          stream.resume()
+          cb(err)
+        })
+    },
+
+    _removeFile(req, file, cb) {
+      if (!sink.remove) return cb(null)
+
+      Promise.resolve()
+        .then(() => sink.remove!(file, req))
+        .then(() => cb(null), (err: Error) => cb(err))
+    }
+  }
+}
@@ -0,0 +1,80 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import type {RequestHandler} from "express";
+import type {MultipartDiskOptions} from "../types/types.js";
+
+export const defaultTempDirectory = path.join(os.tmpdir(), 'express-middlewares-uploads')
+
+const keptFiles = new WeakSet<Express.Multer.File>()
+
+// resolved directories already swept by this process, every parser instance of a directory shares one sweep
+const sweptDirectories = new Set<string>()
+
+/**
+ * Keeps an uploaded file of the managed disk mode (`multipart.disk`) on disk after the response,
+ * e.g. when the handler processes it in the background. Moving the file away has the same effect.
+ */
+export const keepUploadedFile = (file: Express.Multer.File): void => {
+  keptFiles.add(file)
+}
+
+const removeFile = (file: string): Promise<void> =>
+  fs.promises.rm(file, {force: true}).catch((err: Error) => {
+    process.stderr.write(`bodyParser: failed to remove temp file ${file}: ${err.message}\n`)
+  })
+
+/**
+ * Removes the files in the directory older than maxAge, left behind by a crashed process.
+ */
+const sweepOrphanedFiles = async (directory: string, maxAge: number): Promise<void> => {
+  const now = Date.now()
+  const entries = await fs.promises.readdir(directory, {withFileTypes: true})
+
+  await Promise.all(entries.filter(entry => entry.isFile()).map(async entry => {
+    const file = path.join(directory, entry.name)
+    const {mtimeMs} = await fs.promises.stat(file)
+    if (now - mtimeMs >= maxAge) await removeFile(file)
+  }))
+}
+
+/**
+ * Creates the disk storage of the managed disk mode and a middleware that removes the request's uploaded files
+ * once the response is finished or the connection closed. Orphaned files are swept once per directory and process. Files marked with keepUploadedFile stay on disk.
+ * Files of unfinished uploads are removed by multer itself.
+ */
+export const createTempFileStorage = (
+  multer: typeof import('multer'),
+  options: MultipartDiskOptions | true
+): { storage: import('multer').StorageEngine, cleanup: RequestHandler } => {
+  const {directory = defaultTempDirectory, orphanMaxAge = 3_600_000} = options === true ? {} : options
+
+  if (typeof directory !== 'string' || !directory) {
+    throw new Error('bodyParser: multipart.disk.directory must be a non-empty string')
+  }
+
+  if (!Number.isInteger(orphanMaxAge) || orphanMaxAge < 0) {
+    throw new Error('bodyParser: multipart.disk.orphanMaxAge must be an integer >= 0')
+  }
+
+  // creates the directory
+  const storage = multer.diskStorage({destination: directory})
+
+  const resolvedDirectory = path.resolve(directory)
+  if (!sweptDirectories.has(resolvedDirectory)) {
+    sweptDirectories.add(resolvedDirectory)
+    sweepOrphanedFiles(resolvedDirectory, orphanMaxAge).catch((err: Error) => {
+      process.stderr.write(`bodyParser: failed to sweep temp directory ${directory}: ${err.message}\n`)
+    })
+  }
+
+  const cleanup: RequestHandler = (req, res, next) => {
+    res.once('close', () => {
+      const files = Array.isArray(req.files) ? req.files : []
+      void Promise.all(files.filter(file => file.path && !keptFiles.has(file)).map(file => removeFile(file.path)))
+    })
+    next()
+  }
+
+  return {storage, cleanup}
+}
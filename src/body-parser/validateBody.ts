@@ -0,0 +1,54 @@
+import type {RequestHandler} from "express";
+import type {BodyParserErrorHandler} from "./types/types.js";
+import {BodyParserError} from "./BodyParserError.js";
+import {type BodyValidationIssue, compileSchema, type JsonSchema} from "./utils/compileSchema.js";
+import {createMediaTypeMatcher, parseMediaType} from "./utils/contentType.js";
+
+export type ValidateBodyOptions = {
+  /**
+   * Called with a 400 BodyParserError (code "INVALID_BODY") listing the failed checks in `errors`
+   * @default sends the error as application/problem+json
+   */
+  onError?: BodyParserErrorHandler
+}
+
+const isFormBody = createMediaTypeMatcher(['application/x-www-form-urlencoded', 'multipart/form-data'])
+
+const sendProblem: BodyParserErrorHandler = (err, _req, res) => {
+  res.status(err.status).type('application/problem+json').json(err.toProblemDetails())
+}
+
+/**
+ * Creates a middleware that validates req.body against a JSON Schema, compiled once when the middleware is created.
+ * Mount it after bodyParser. Form bodies (urlencoded and the non-file fields of multipart forms) only contain
+ * strings, so their values are converted to the types the schema expects before validation.
+ */
+export function validateBody(schema: JsonSchema, options: ValidateBodyOptions = {}): RequestHandler {
+
+  const {onError = sendProblem} = options
+
+  if (typeof onError !== 'function') {
+    throw new Error('validateBody: onError must be a function')
+  }
+
+  const validate = compileSchema(schema)
+
+  return (req, res, next) => {
+    const mediaType = parseMediaType(req.headers['content-type'])
+    const coerce = mediaType !== null && isFormBody(mediaType)
+
+    const issues: BodyValidationIssue[] = []
+    const body = validate(req.body, '', issues, coerce)
+
+    if (issues.length) {
+      return onError(new BodyParserError('Request body does not match the schema', {
+        status: 400,
+        code: 'INVALID_BODY',
+        errors: issues
+      }), req, res, next)
+    }
+
+    if (coerce) req.body = body
+    next()
+  }
+}
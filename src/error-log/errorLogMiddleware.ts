@@ -0,0 +1,94 @@
+import type e from "express";
+import type {ErrorLogOptions} from "./types/types.js";
+import {serializeError} from "./serializeError.js";
+import {type LogTarget, processStreamTarget} from "../access-log/createDestinationLogger.js";
+import {createFileTarget} from "../access-log/createFileTarget.js";
+import {defaultErrorLogFilenameTemplate} from "../access-log/generateLogPath.js";
+
+const isErrorStatus = (value: unknown): value is number =>
+  typeof value === 'number' && value >= 400 && value < 600;
+
+/**
+ * Resolves the status like Express' final handler: err.status / err.statusCode,
+ * otherwise the response status if it is already an error status, otherwise 500.
+ */
+const errorStatus = (err: unknown, res: e.Response): number => {
+  const {status, statusCode} = (typeof err === 'object' && err !== null ? err : {}) as {
+    status?: unknown,
+    statusCode?: unknown
+  };
+
+  if (isErrorStatus(status)) return status;
+  if (isErrorStatus(statusCode)) return statusCode;
+  return isErrorStatus(res.statusCode) ? res.statusCode : 500;
+}
+
+/**
+ * JSON.stringify replacer for values from `fields` and error properties, which may contain BigInts or cycles.
+ */
+const safeReplacer = (): (this: unknown, key: string, value: unknown) => unknown => {
+  const ancestors: unknown[] = [];
+
+  return function (_key, value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value !== 'object' || value === null) return value;
+
+    // `this` is the object holding value, the ancestors after it are done
+    while (ancestors.length && ancestors.at(-1) !== this) ancestors.pop();
+    if (ancestors.includes(value)) return '[Circular]';
+    ancestors.push(value);
+    return value;
+  };
+}
+
+/**
+ * Creates an Express error handler that writes one JSON entry per error passed to `next(err)`,
+ * including the cause chain and the request correlation fields, and then passes the error on.
+ * Mount it after the routes; it uses the same outputs and file rotation as accessLogMiddleware.
+ */
+export const errorLogMiddleware = (config?: ErrorLogOptions): e.ErrorRequestHandler => {
+
+  const passThrough: e.ErrorRequestHandler = (err, _req, _res, next) => next(err);
+  if (config?.enabled === false) return passThrough;
+
+  const {output = 'stderr', skip, fields} = config ?? {};
+
+  const createTarget = (): () => LogTarget => {
+    switch (output) {
+      case "stdout":
+      case "stderr": {
+        const streamTarget = processStreamTarget(process[output]);
+        return () => streamTarget;
+      }
+      case "file":
+        return createFileTarget(
+          {...config, filename: config?.filename ?? defaultErrorLogFilenameTemplate},
+          'errorLogMiddleware: config.path is required when output="file"'
+        );
+      default:
+        throw new Error(`errorLogMiddleware: output must be "file", "stdout" or "stderr", got "${String(output)}"`);
+    }
+  };
+
+  const target = createTarget();
+
+  return (err, req, res, next) => {
+    if (!skip?.(err, req, res)) {
+      const line = JSON.stringify({
+        time: new Date().toISOString(),
+        method: req.method,
+        url: req.fullUrl ?? req.originalUrl ?? req.url,
+        status: errorStatus(err, res),
+        ...(req.requestId && {requestId: req.requestId}),
+        ...(req.correlationId && {correlationId: req.correlationId}),
+        ...(req.requestChain && {requestChain: req.requestChain}),
+        error: serializeError(err),
+        ...fields?.(err, req, res)
+      }, safeReplacer());
+
+      target().write(`${line}\n`, () => {});
+    }
+
+    next(err);
+  };
+}
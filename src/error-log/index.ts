@@ -0,0 +1,3 @@
+export {errorLogMiddleware} from "./errorLogMiddleware.js";
+export {serializeError} from "./serializeError.js";
+export * from "./types/types.js";
@@ -0,0 +1,26 @@
+import {inspect} from "node:util";
+import type {SerializedError} from "./types/types.js";
+
+const MAX_CAUSE_DEPTH = 10;
+
+/**
+ * Converts an error into a JSON serializable object, following the `cause` chain.
+ * Values thrown that are not Error instances are described by their message only.
+ */
+export const serializeError = (err: unknown, depth = 0): SerializedError => {
+  if (!(err instanceof Error)) {
+    return {message: typeof err === 'string' ? err : inspect(err, {depth: 2, breakLength: Infinity})};
+  }
+
+  const {code} = err as { code?: unknown };
+  const {cause} = err;
+
+  return {
+    name: err.name,
+    message: err.message,
+    ...(code !== undefined && {code}),
+    ...(err.stack !== undefined && {stack: err.stack}),
+    // the depth limit also ends cyclic cause chains
+    ...(cause !== undefined && depth < MAX_CAUSE_DEPTH && {cause: serializeError(cause, depth + 1)}),
+  };
+}
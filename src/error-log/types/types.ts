@@ -0,0 +1,37 @@
+import type e from "express";
+import type {AccessLogFileSettings} from "../../access-log/createFileTarget.js";
+
+export type ErrorLogOutput = "file" | "stdout" | "stderr"
+
+export type ErrorLogOptions = AccessLogFileSettings & {
+  /**
+   * @default "stderr"
+   */
+  output?: ErrorLogOutput
+  /**
+   * Filename, a filename template (see accessLogMiddleware) or a function returning the filename
+   * @default "error_log_%Y_%m_%d.log"
+   */
+  filename?: AccessLogFileSettings['filename']
+  /**
+   * True if the error should not be logged, e.g. for expected 404s
+   */
+  skip?: (err: unknown, req: e.Request, res: e.Response) => boolean
+  /**
+   * Additional fields merged into every entry
+   */
+  fields?: (err: unknown, req: e.Request, res: e.Response) => Record<string, unknown>
+  /**
+   * Set to false to pass errors on without logging them
+   * @default true
+   */
+  enabled?: boolean
+}
+
+export type SerializedError = {
+  name?: string
+  message: string
+  code?: unknown
+  stack?: string
+  cause?: SerializedError
+}
@@ -1,7 +1,13 @@
 import type {NextFunction, Request, RequestHandler, Response} from "express";
-import type {GracefulShutdownOptions} from "./types/types.js";
+import type {DrainInfo, GracefulShutdownOptions} from "./types/types.js";
 import EventEmitter from "node:events";
 
+/**
+ * Emitted on every response that is still pending when the timeout forces the drain,
+ * right before onDrain is called (used by accessLogMiddleware with logIncomplete).
+ */
+export const shutdownTimeoutEvent = 'shutdownTimeout'
+
 const defaultOnReject: RequestHandler = (_req, res) =>
   res.status(503).json({error: 'server shutting down'})
 
@@ -27,15 +33,18 @@ export function gracefulShutdownMiddleware(options: GracefulShutdownOptions): Re
     signal,
     timeout = 10000,
     onDrain,
+    beforeDrain,
     onReject = defaultOnReject
   } = options;
 
   const forceReject = options.forceReject === true
-  const pendingRequests = new Set<symbol>()
+  const pendingRequests = new Set<Response>()
   const eventHandle = new EventEmitter()
   const states = {
     shuttingDown: false,
-    drained: false
+    drained: false,
+    // time at which onDrain has to be called at the latest, set on abort when timeout > 0
+    deadline: 0
   }
 
   if (forceReject) {
@@ -62,6 +71,10 @@ export function gracefulShutdownMiddleware(options: GracefulShutdownOptions): Re
     throw new Error('gracefulShutdownMiddleware: onDrain must be a function')
   }
 
+  if (beforeDrain !== undefined && typeof beforeDrain !== 'function') {
+    throw new Error('gracefulShutdownMiddleware: beforeDrain must be a function')
+  }
+
   if (typeof onReject !== 'function') {
     throw new Error('gracefulShutdownMiddleware: onReject must be a function')
   }
@@ -73,16 +86,47 @@ export function gracefulShutdownMiddleware(options: GracefulShutdownOptions): Re
   const emitDrain = (isTimeout = false) => {
     if (states.drained) return
     states.drained = true
-    eventHandle.emit('drain', {
+    if (isTimeout) {
+      pendingRequests.forEach(res => res.emit(shutdownTimeoutEvent))
+    }
+    const info: DrainInfo = {
       pendingRequests: pendingRequests.size,
       isTimeout
+    }
+
+    if (!beforeDrain) {
+      eventHandle.emit('drain', info)
+      return
+    }
+
+    let timer: NodeJS.Timeout | undefined
+    const timedOut = new Promise<void>(resolve => {
+      if (timeout <= 0) return
+      // beforeDrain only gets the time the pending requests left of the timeout
+      timer = setTimeout(() => {
+        process.stderr.write(`gracefulShutdownMiddleware: beforeDrain did not finish within the timeout of ${timeout}ms\n`)
+        resolve()
+      }, Math.max(0, states.deadline - Date.now()))
     })
+
+    Promise.race([
+      Promise.resolve().then(() => beforeDrain(info)),
+      timedOut
+    ])
+      .catch(err => {
+        process.stderr.write(`gracefulShutdownMiddleware: beforeDrain failed: ${err instanceof Error ? err.message : String(err)}\n`)
+      })
+      .finally(() => {
+        clearTimeout(timer)
+        eventHandle.emit('drain', info)
+      })
   }
 
   eventHandle.once('drain', onDrain)
 
   signal.addEventListener('abort', () => {
     states.shuttingDown = true
+    states.deadline = Date.now() + timeout
 
     if (pendingRequests.size === 0) {
       emitDrain()
@@ -105,11 +149,10 @@ export function gracefulShutdownMiddleware(options: GracefulShutdownOptions): Re
       return
     }
 
-    const id = Symbol()
-    pendingRequests.add(id)
+    pendingRequests.add(res)
 
     res.on('close', () => {
-      pendingRequests.delete(id)
+      pendingRequests.delete(res)
 
       if (states.shuttingDown && pendingRequests.size === 0) {
         emitDrain()
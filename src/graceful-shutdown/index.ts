@@ -1,3 +1,3 @@
-export {gracefulShutdownMiddleware} from "./gracefulShutdownMiddleware.js";
+export {gracefulShutdownMiddleware, shutdownTimeoutEvent} from "./gracefulShutdownMiddleware.js";
 export {createShutdownSignal} from "./utils/createShutdownSignal.js";
 export * from "./types/types.js";
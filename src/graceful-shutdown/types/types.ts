@@ -26,6 +26,13 @@ export type GracefulShutdownOptions = {
    */
   onDrain: (info: DrainInfo) => void
 
+  /**
+   * Awaited before onDrain is called, e.g. to flush buffered log lines with HttpSink.flushAll().
+   * Errors are logged and do not prevent onDrain. With a timeout > 0, onDrain is called at most timeout ms
+   * after the shutdown started even if beforeDrain has not finished, so it only gets the time the requests left.
+   */
+  beforeDrain?: (info: DrainInfo) => Promise<unknown> | unknown
+
   /**
    * Called for every incoming request while the server is shutting down.
    * @default 503 JSON response
@@ -1,5 +1,6 @@
 export * from "./utils/applyMiddlewares.js";
 export * from "./access-log/index.js";
+export * from "./error-log/index.js";
 export * from "./body-parser/index.js";
 export * from "./graceful-shutdown/index.js";
 export * from "./request-id/index.js";
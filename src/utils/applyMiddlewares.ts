@@ -1,8 +1,9 @@
-import {accessLogMiddleware, type AccessLogOptions} from "../access-log/index.js";
+import {accessLogMiddleware, type AccessLogOptions, HttpSink} from "../access-log/index.js";
 import {bodyParserMiddleware, type BodyParserOptions} from "../body-parser/index.js";
 import {type DrainInfo, gracefulShutdownMiddleware, type GracefulShutdownOptions} from "../graceful-shutdown/index.js";
 import {type RequestChainOptions, requestIdMiddleware} from "../request-id/index.js";
-import type {RequestHandler} from "express";
+import {errorLogMiddleware, type ErrorLogOptions} from "../error-log/index.js";
+import type {ErrorRequestHandler, RequestHandler} from "express";
 import {runMiddlewares} from "./runMiddlewares.js";
 import {csrfMiddleware, type CsrfMiddlewareOptions} from "@pfeiferio/express-csrf";
 import {prepareOptions} from "./prepareOptions.js";
@@ -14,6 +15,7 @@ export type ApplyMiddlewaresOptions = {
   signal?: AbortSignal | false
   onDrain?: (info: DrainInfo) => void
   accessLog?: AccessLogOptions | false
+  errorLog?: ErrorLogOptions | false
   bodyParser?: BodyParserOptions | false
   gracefulShutdown?: Omit<GracefulShutdownOptions, 'signal' | 'onDrain'> | false
   requestId?: RequestChainOptions | false
@@ -21,9 +23,30 @@ export type ApplyMiddlewaresOptions = {
   cookieParser?: boolean | { secret?: string | string[], options?: cookieParser.CookieParseOptions }
 }
 
-export function applyMiddlewares(options: ApplyMiddlewaresOptions): RequestHandler {
+export type AppliedMiddlewares = RequestHandler & {
+  /**
+   * Error handler to mount after the routes, logs errors with errorLogMiddleware unless errorLog is false
+   */
+  errorHandler: ErrorRequestHandler
+}
+
+const usesHttpSink = (accessLog: AccessLogOptions | false | undefined): boolean =>
+  !!accessLog && accessLog.enabled !== false &&
+  (accessLog.destinations ?? [{}]).some(destination => (destination.output ?? accessLog.output) === 'http')
+
+export function applyMiddlewares(options: ApplyMiddlewaresOptions): AppliedMiddlewares {
   options = prepareOptions(options)
 
+  const gracefulShutdownOptions = options.gracefulShutdown || {}
+
+  // log lines still waiting in an HTTP sink are shipped before onDrain lets the process exit
+  const beforeDrain = !usesHttpSink(options.accessLog)
+    ? gracefulShutdownOptions.beforeDrain
+    : async (info: DrainInfo) => {
+      await gracefulShutdownOptions.beforeDrain?.(info)
+      await HttpSink.flushAll()
+    }
+
   const middlewares: RequestHandler[] = [
     options.fullUrl !== false && fullUrlMiddleware(),
     options.requestId !== false && requestIdMiddleware(options.requestId || {}),
@@ -35,12 +58,17 @@ export function applyMiddlewares(options: ApplyMiddlewaresOptions): RequestHandl
     ),
     options.csrf !== false && csrfMiddleware(options.csrf!),
     options.gracefulShutdown !== false && gracefulShutdownMiddleware({
-      ...options.gracefulShutdown,
+      ...gracefulShutdownOptions,
       signal: options.signal as AbortSignal,
-      onDrain: options.onDrain!
+      onDrain: options.onDrain!,
+      ...(beforeDrain && {beforeDrain})
     })
   ].filter((mw): mw is RequestHandler => !!mw)
 
-  return (req, res, next) =>
+  const handler: RequestHandler = (req, res, next) =>
     runMiddlewares(middlewares, req, res, next)
+
+  return Object.assign(handler, {
+    errorHandler: errorLogMiddleware(options.errorLog === false ? {enabled: false} : options.errorLog || {})
+  })
 }
@@ -0,0 +1,20 @@
+import type e from "express";
+
+const pathname = (req: e.Request): string => (req.originalUrl ?? req.url ?? '').split('?')[0]!;
+
+/**
+ * Creates a predicate for a path pattern. Strings match the path itself and everything below it
+ * ("/admin" matches "/admin" and "/admin/users", but not "/administrator"), regular expressions are tested
+ * against the path without query string. Returns null for invalid patterns, callers throw their own error.
+ */
+export const createPathMatcher = (path: unknown): ((req: e.Request) => boolean) | null => {
+  if (path instanceof RegExp) return req => path.test(pathname(req));
+
+  if (typeof path !== 'string' || !path.startsWith('/')) return null;
+
+  const prefix = path.endsWith('/') ? path : `${path}/`;
+  return req => {
+    const current = pathname(req);
+    return current === path || current.startsWith(prefix);
+  };
+}
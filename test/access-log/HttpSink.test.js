@@ -0,0 +1,202 @@
+import {after, afterEach, before, test} from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {once} from 'node:events';
+import {existsSync, mkdtempSync, readFileSync, rmSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {HttpSink} from '../../dist/access-log/HttpSink.js';
+import {LogStream} from '../../dist/access-log/LogStream.js';
+
+let tmpDir;
+let server;
+let baseUrl;
+let requests = [];
+let status = 200;
+
+before(async () => {
+  tmpDir = mkdtempSync(join(tmpdir(), 'http-sink-test-'));
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({headers: req.headers, lines: body.split('\n').filter(Boolean), status});
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await HttpSink.reset();
+  LogStream.reset();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  rmSync(tmpDir, {recursive: true, force: true});
+});
+
+afterEach(async () => {
+  await HttpSink.reset();
+  requests = [];
+  status = 200;
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const sentLines = () => requests.filter(r => r.status === 200).flatMap(r => r.lines);
+
+test('HttpSink: sends a full batch right away as NDJSON', async () => {
+  const sink = HttpSink.create({url: `${baseUrl}/ingest`, batchSize: 2, flushInterval: 10000, headers: {authorization: 'Bearer x'}});
+
+  const sent = once(sink.eventEmitter, 'sent');
+  sink.write('{"n":1}\n', () => {});
+  sink.write('{"n":2}\n', () => {});
+  assert.deepEqual(await sent, [2]); // without waiting for flushInterval
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].lines, ['{"n":1}', '{"n":2}']);
+  assert.equal(requests[0].headers['content-type'], 'application/x-ndjson');
+  assert.equal(requests[0].headers['authorization'], 'Bearer x');
+  assert.equal(sink.sentLines, 2);
+});
+
+test('HttpSink: sends a partial batch after flushInterval', async () => {
+  const sink = HttpSink.create({url: baseUrl, batchSize: 10, flushInterval: 30});
+
+  sink.write('a\n', () => {});
+  sink.write('b', () => {});
+  assert.equal(sink.bufferedLines, 2);
+  assert.equal(requests.length, 0);
+
+  await wait(80);
+  assert.deepEqual(sentLines(), ['a', 'b']);
+  assert.equal(sink.bufferedLines, 0);
+});
+
+test('HttpSink: retries failed requests with backoff', async () => {
+  const sink = HttpSink.create({url: baseUrl, flushInterval: 10000, retryDelay: 10});
+  const retries = [];
+  sink.eventEmitter.on('retry', (attempt, err) => {
+    retries.push([attempt, err.message]);
+    if (attempt === 2) status = 200;
+  });
+
+  status = 503;
+  sink.write('line\n', () => {});
+  await sink.flush();
+
+  assert.deepEqual(retries, [[1, 'HTTP 503'], [2, 'HTTP 503']]);
+  assert.deepEqual(sentLines(), ['line']);
+  assert.equal(sink.endpointDown, false);
+});
+
+test('HttpSink: drops batches that fail all retries without spool file', async () => {
+  const sink = HttpSink.create({url: baseUrl, flushInterval: 10000, maxRetries: 1, retryDelay: 1});
+  const dropped = [];
+  sink.eventEmitter.on('dropped', count => dropped.push(count));
+
+  status = 500;
+  sink.write('a\n', () => {});
+  sink.write('b\n', () => {});
+  await sink.flush();
+
+  assert.equal(requests.length, 2);
+  assert.deepEqual(dropped, [2]);
+  assert.equal(sink.droppedLines, 2);
+  assert.equal(sink.endpointDown, false);
+});
+
+test('HttpSink: retries only the first failing batch of a flush', async () => {
+  const sink = HttpSink.create({url: baseUrl, batchSize: 1, flushInterval: 10000, maxRetries: 3, retryDelay: 1});
+  let retries = 0;
+  sink.eventEmitter.on('retry', () => retries++);
+
+  status = 500;
+  ['a\n', 'b\n', 'c\n', 'd\n', 'e\n'].forEach(line => sink.write(line, () => {}));
+  await sink.flush();
+
+  assert.equal(requests.length, 4);
+  assert.equal(retries, 3);
+  assert.equal(sink.droppedLines, 5);
+
+  // the next flush tries the endpoint again
+  status = 200;
+  sink.write('f\n', () => {});
+  await sink.flush();
+  assert.deepEqual(sentLines(), ['f']);
+});
+
+test('HttpSink: spools while the endpoint is down and replays the spool once it is back', async () => {
+  const spoolFile = join(tmpDir, 'spool', 'access.ndjson');
+  const sink = HttpSink.create({url: baseUrl, flushInterval: 10000, maxRetries: 0, spoolFile});
+  const events = [];
+  sink.eventEmitter.on('spooled', lines => events.push(['spooled', lines]));
+  sink.eventEmitter.on('replayed', lines => events.push(['replayed', lines]));
+
+  status = 502;
+  sink.write('a\n', () => {});
+  await sink.flush();
+  assert.equal(sink.endpointDown, true);
+
+  // while down, new lines go to the spool without hitting the endpoint
+  sink.write('b\n', () => {});
+  await sink.flush();
+  await wait(50);
+  assert.equal(requests.length, 2); // first batch + failed replay attempt
+  assert.equal(readFileSync(spoolFile, 'utf-8'), 'b\n');
+
+  status = 200;
+  sink.write('c\n', () => {});
+  await sink.flush();
+
+  assert.deepEqual(sentLines(), ['a', 'b', 'c']);
+  assert.deepEqual(events, [['spooled', 1], ['spooled', 1], ['replayed', 1], ['replayed', 1]]);
+  assert.equal(sink.endpointDown, false);
+  assert.equal(existsSync(`${spoolFile}.sending`), false);
+});
+
+test('HttpSink: spools lines beyond maxBufferedLines one per line', async () => {
+  const spoolFile = join(tmpDir, 'overflow', 'access.ndjson');
+  const sink = HttpSink.create({url: baseUrl, flushInterval: 10000, maxBufferedLines: 1, spoolFile});
+
+  ['{"n":1}', '{"n":2}', '{"n":3}'].forEach(line => sink.write(line, () => {}));
+  await wait(50);
+
+  assert.equal(readFileSync(spoolFile, 'utf-8'), '{"n":2}\n{"n":3}\n');
+});
+
+test('HttpSink: flushAll sends the buffered lines of all sinks', async () => {
+  const first = HttpSink.create({url: `${baseUrl}/first`, flushInterval: 10000});
+  const second = HttpSink.create({url: `${baseUrl}/second`, flushInterval: 10000});
+
+  first.write('1\n', () => {});
+  second.write('2\n', () => {});
+  await HttpSink.flushAll();
+
+  assert.deepEqual(sentLines().sort(), ['1', '2']);
+});
+
+test('HttpSink: create returns the shared instance for identical options', () => {
+  assert.equal(HttpSink.create({url: baseUrl}), HttpSink.create({url: baseUrl}));
+  assert.notEqual(HttpSink.create({url: baseUrl}), HttpSink.create({url: baseUrl, batchSize: 5}));
+});
+
+test('HttpSink: lines beyond maxBufferedLines are dropped without spool file', async () => {
+  const sink = HttpSink.create({url: baseUrl, batchSize: 10, flushInterval: 10000, maxBufferedLines: 2});
+
+  sink.write('a\n', () => {});
+  sink.write('b\n', () => {});
+  sink.write('c\n', () => {});
+
+  assert.equal(sink.bufferedLines, 2);
+  assert.equal(sink.droppedLines, 1);
+});
+
+test('HttpSink: validates options', () => {
+  assert.throws(() => new HttpSink({url: 'ftp://example.com'}), {message: 'HttpSink: url must be a valid http(s) URL'});
+  assert.throws(() => new HttpSink({url: 'not a url'}), {message: 'HttpSink: url must be a valid http(s) URL'});
+  assert.throws(() => new HttpSink({url: baseUrl, batchSize: 0}), {message: 'HttpSink: batchSize must be an integer >= 1'});
+  assert.throws(() => new HttpSink({url: baseUrl, maxRetries: -1}), {message: 'HttpSink: maxRetries must be an integer >= 0'});
+});
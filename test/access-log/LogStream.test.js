@@ -3,7 +3,10 @@ import assert from 'node:assert/strict';
 import fs, {existsSync, mkdtempSync, rmSync, unlinkSync} from 'node:fs';
 import {tmpdir} from 'node:os';
 import {join} from 'node:path';
+import EventEmitter from 'node:events';
+import zlib from 'node:zlib';
 import {LogStream} from '../../dist/access-log/LogStream.js';
+import {pruneLogFiles} from '../../dist/access-log/logRotation.js';
 
 let tmpDir;
 
@@ -231,3 +234,475 @@ test('LogStream: stops recreating after maxRecreateAttempts', async () => {
     stream.writable?.write('test\n');
   });
 })
+
+// rotation & retention tests
+const writeLine = (stream, line) => new Promise(resolve => stream.write(line, resolve));
+
+test('LogStream: throws on invalid maxSize', () => {
+  const logFilePath = join(tmpDir, 'invalid-max-size.log');
+  assert.throws(
+    () => new LogStream({logFilePath, createDirectory: false, maxSize: 0}),
+    {message: 'LogStream: maxSize must be a number > 0'}
+  );
+});
+
+test('LogStream: rotates to numeric suffix when maxSize is reached', async () => {
+  const subDir = join(tmpDir, 'rotate-size');
+  const logFilePath = join(subDir, 'app.log');
+  const stream = LogStream.create({logFilePath, createDirectory: true, maxSize: 10});
+
+  try {
+    const rotated = [];
+    stream.eventEmitter.on('rotate', path => rotated.push(path));
+
+    await writeLine(stream, '12345678\n');
+    await writeLine(stream, 'abcdefgh\n');
+    await writeLine(stream, 'ABCDEFGH\n');
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.deepEqual(rotated, [`${logFilePath}.1`, `${logFilePath}.2`]);
+    assert.equal(fs.readFileSync(`${logFilePath}.1`, 'utf-8'), '12345678\n');
+    assert.equal(fs.readFileSync(`${logFilePath}.2`, 'utf-8'), 'abcdefgh\n');
+    assert.equal(fs.readFileSync(logFilePath, 'utf-8'), 'ABCDEFGH\n');
+    assert.equal(stream.recreateAttempts, 0);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream: buffers instead of throwing when rotating fails', async () => {
+  const subDir = join(tmpDir, 'rotate-missing-dir');
+  fs.mkdirSync(subDir);
+  const logFilePath = join(subDir, 'app.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false, maxSize: 10, maxRecreateAttempts: 5});
+
+  try {
+    await writeLine(stream, '12345678\n');
+    rmSync(subDir, {recursive: true, force: true});
+    await writeLine(stream, 'abcdefgh\n');
+
+    assert.equal(stream.writable, null);
+    assert.equal(stream.bufferedLines, 1);
+
+    fs.mkdirSync(subDir);
+    await new Promise(resolve => stream.eventEmitter.once('open', resolve));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.equal(fs.readFileSync(logFilePath, 'utf-8'), 'abcdefgh\n');
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream: counts existing file size towards maxSize', async () => {
+  const subDir = join(tmpDir, 'rotate-existing');
+  fs.mkdirSync(subDir);
+  const logFilePath = join(subDir, 'app.log');
+  fs.writeFileSync(logFilePath, '123456789\n');
+
+  const stream = LogStream.create({logFilePath, createDirectory: false, maxSize: 15});
+  try {
+    await writeLine(stream, 'next\n');
+    await writeLine(stream, 'rotated\n');
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.equal(fs.readFileSync(`${logFilePath}.1`, 'utf-8'), '123456789\nnext\n');
+    assert.equal(fs.readFileSync(logFilePath, 'utf-8'), 'rotated\n');
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream: maxFiles keeps only the newest old log files', async () => {
+  const subDir = join(tmpDir, 'retention-max-files');
+  fs.mkdirSync(subDir);
+  const now = Date.now() / 1000;
+  ['app_2026_01_01.log', 'app_2026_01_02.log', 'app_2026_01_03.log.1', 'other.txt'].forEach((file, index) => {
+    fs.writeFileSync(join(subDir, file), 'x\n');
+    fs.utimesSync(join(subDir, file), now - 100 + index, now - 100 + index);
+  });
+
+  const logFilePath = join(subDir, 'app_2026_01_04.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false, maxFiles: 2, filenameTemplate: 'app_%Y_%m_%d.log'});
+  try {
+    const removed = await new Promise(resolve => stream.eventEmitter.once('prune', resolve));
+    assert.deepEqual(removed, [join(subDir, 'app_2026_01_01.log')]);
+    assert.deepEqual(fs.readdirSync(subDir).sort(), ['app_2026_01_02.log', 'app_2026_01_03.log.1', 'app_2026_01_04.log', 'other.txt']);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream: maxAgeDays removes expired log files', async () => {
+  const subDir = join(tmpDir, 'retention-max-age');
+  fs.mkdirSync(subDir);
+  const now = Date.now() / 1000;
+  fs.writeFileSync(join(subDir, 'app.log.1'), 'x\n');
+  fs.utimesSync(join(subDir, 'app.log.1'), now - 3 * 86400, now - 3 * 86400);
+  fs.writeFileSync(join(subDir, 'app.log.2'), 'x\n');
+
+  const logFilePath = join(subDir, 'app.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false, maxAgeDays: 2});
+  try {
+    const removed = await new Promise(resolve => stream.eventEmitter.once('prune', resolve));
+    assert.deepEqual(removed, [join(subDir, 'app.log.1')]);
+    assert.ok(existsSync(join(subDir, 'app.log.2')));
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream: retention only removes files of its own log family', async () => {
+  const subDir = join(tmpDir, 'retention-families');
+  fs.mkdirSync(subDir);
+  const old = Date.now() / 1000 - 30 * 86400;
+  ['access_log_2026_01_01.log', 'access_log_2026_01_02.log.1.gz', 'audit_2026_01_01.log', 'audit.log.1',
+    'slow_log_2026_01_01.log', 'access_log_backup.log'].forEach(file => {
+    fs.writeFileSync(join(subDir, file), 'x\n');
+    fs.utimesSync(join(subDir, file), old, old);
+  });
+
+  const logFilePath = join(subDir, 'access_log_2026_02_01.log');
+  const stream = LogStream.create({
+    logFilePath, createDirectory: false, maxAgeDays: 7, filenameTemplate: 'access_log_%Y_%m_%d.log'
+  });
+  try {
+    const removed = await new Promise(resolve => stream.eventEmitter.once('prune', resolve));
+    assert.deepEqual(removed.sort(), [
+      join(subDir, 'access_log_2026_01_01.log'),
+      join(subDir, 'access_log_2026_01_02.log.1.gz')
+    ]);
+    assert.deepEqual(fs.readdirSync(subDir).sort(), [
+      'access_log_2026_02_01.log', 'access_log_backup.log', 'audit.log.1', 'audit_2026_01_01.log', 'slow_log_2026_01_01.log'
+    ]);
+  } finally {
+    await stream.close();
+  }
+});
+
+// compression tests
+test('LogStream: throws on invalid compress option', () => {
+  const logFilePath = join(tmpDir, 'invalid-compress.log');
+  assert.throws(
+    () => new LogStream({logFilePath, createDirectory: false, compress: 'zip'}),
+    {message: 'LogStream: compress must be "gzip" or "brotli"'}
+  );
+});
+
+test('LogStream: gzips rotated files in the background', async () => {
+  const subDir = join(tmpDir, 'compress-rotate');
+  const logFilePath = join(subDir, 'app.log');
+  const stream = LogStream.create({logFilePath, createDirectory: true, maxSize: 10, compress: 'gzip'});
+
+  try {
+    const started = new Promise(resolve => stream.eventEmitter.once('compressStart', resolve));
+    const finished = new Promise(resolve => stream.eventEmitter.once('compressEnd', (...args) => resolve(args)));
+
+    await writeLine(stream, '12345678\n');
+    await writeLine(stream, 'abcdefgh\n');
+
+    assert.equal(await started, `${logFilePath}.1`);
+    assert.deepEqual(await finished, [`${logFilePath}.1`, `${logFilePath}.1.gz`]);
+    assert.equal(zlib.gunzipSync(fs.readFileSync(`${logFilePath}.1.gz`)).toString(), '12345678\n');
+    assert.deepEqual(fs.readdirSync(subDir).sort(), ['app.log', 'app.log.1.gz']);
+
+    await writeLine(stream, 'ABCDEFGH\n');
+    assert.ok(existsSync(`${logFilePath}.2`));
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream.remove: compresses the removed file with brotli', async () => {
+  const subDir = join(tmpDir, 'compress-remove');
+  const logFilePath = join(subDir, 'app.log');
+  const stream = LogStream.create({logFilePath, createDirectory: true, compress: 'brotli'});
+  await writeLine(stream, 'hello\n');
+
+  const finished = new Promise(resolve => stream.eventEmitter.once('compressEnd', (_path, target) => resolve(target)));
+  LogStream.remove(stream);
+
+  assert.equal(await finished, `${logFilePath}.br`);
+  assert.equal(zlib.brotliDecompressSync(fs.readFileSync(`${logFilePath}.br`)).toString(), 'hello\n');
+  assert.ok(!existsSync(logFilePath));
+});
+
+test('LogStream: emits compressError and leaves no partial archive', async () => {
+  const subDir = join(tmpDir, 'compress-error');
+  const logFilePath = join(subDir, 'app.log');
+  const stream = LogStream.create({logFilePath, createDirectory: true, compress: 'gzip'});
+  unlinkSync(logFilePath);
+
+  const originalWrite = process.stderr.write.bind(process.stderr);
+  process.stderr.write = () => true;
+  try {
+    const failed = new Promise(resolve => stream.eventEmitter.once('compressError', (err, path) => resolve({err, path})));
+    LogStream.remove(stream);
+
+    const {err, path} = await failed;
+    assert.equal(err.code, 'ENOENT');
+    assert.equal(path, logFilePath);
+    assert.deepEqual(fs.readdirSync(subDir), []);
+  } finally {
+    process.stderr.write = originalWrite;
+  }
+});
+
+test('LogStream: removes stale .tmp archives at startup and compresses their files again', async () => {
+  const subDir = join(tmpDir, 'compress-stale');
+  fs.mkdirSync(subDir);
+  fs.writeFileSync(join(subDir, 'app_2026_01_01.log'), 'old\n');
+  fs.writeFileSync(join(subDir, 'app_2026_01_01.log.gz.tmp'), 'partial');
+  fs.writeFileSync(join(subDir, 'app_2026_01_02.log.1.br.tmp'), 'partial');
+  fs.writeFileSync(join(subDir, 'other.log.gz.tmp'), 'partial');
+
+  const logFilePath = join(subDir, 'app_2026_01_03.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false, compress: 'gzip', filenameTemplate: 'app_%Y_%m_%d.log'});
+  try {
+    const target = await new Promise(resolve => stream.eventEmitter.once('compressEnd', (_path, target) => resolve(target)));
+
+    assert.equal(target, join(subDir, 'app_2026_01_01.log.gz'));
+    assert.equal(zlib.gunzipSync(fs.readFileSync(target)).toString(), 'old\n');
+    assert.deepEqual(fs.readdirSync(subDir).sort(), ['app_2026_01_01.log.gz', 'app_2026_01_03.log', 'other.log.gz.tmp']);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream: retention also removes stale .tmp archives', async () => {
+  const subDir = join(tmpDir, 'retention-stale');
+  fs.mkdirSync(subDir);
+  const old = Date.now() / 1000 - 30 * 86400;
+  fs.writeFileSync(join(subDir, 'app.log.1.gz.tmp'), 'partial');
+  fs.utimesSync(join(subDir, 'app.log.1.gz.tmp'), old, old);
+
+  assert.deepEqual(
+    await pruneLogFiles(join(subDir, 'app.log'), {maxAgeDays: 7, keep: []}),
+    [join(subDir, 'app.log.1.gz.tmp')]
+  );
+});
+
+// buffering tests
+test('LogStream: throws on invalid maxBufferedLines', () => {
+  const logFilePath = join(tmpDir, 'invalid-buffer.log');
+  assert.throws(
+    () => new LogStream({logFilePath, createDirectory: false, maxBufferedLines: -1}),
+    {message: 'LogStream: maxBufferedLines must be an integer >= 0'}
+  );
+});
+
+test('LogStream: buffers lines while recreating and flushes them once the file is back', async () => {
+  const subDir = join(tmpDir, 'buffer-recreate');
+  fs.mkdirSync(subDir);
+  const logFilePath = join(subDir, 'app.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false, maxRecreateAttempts: 5});
+
+  try {
+    const recreating = new Promise(resolve => stream.eventEmitter.once('recreate', resolve));
+    rmSync(subDir, {recursive: true, force: true});
+    await recreating;
+
+    assert.equal(stream.writable, null);
+    await writeLine(stream, 'buffered 1\n');
+    await writeLine(stream, 'buffered 2\n');
+    assert.equal(stream.bufferedLines, 2);
+
+    fs.mkdirSync(subDir);
+    await new Promise(resolve => stream.eventEmitter.once('recreate', resolve));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.equal(stream.bufferedLines, 0);
+    assert.equal(stream.droppedLines, 0);
+    assert.equal(fs.readFileSync(logFilePath, 'utf-8'), 'buffered 1\nbuffered 2\n');
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream: drops lines beyond maxBufferedLines and emits dropped', async () => {
+  const logFilePath = join(tmpDir, 'buffer-overflow.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false, maxRecreateAttempts: 0, maxBufferedLines: 2});
+
+  const originalWrite = process.stderr.write.bind(process.stderr);
+  process.stderr.write = () => true;
+  try {
+    await new Promise(resolve => {
+      stream.eventEmitter.once('recreateExhausted', resolve);
+      stream.writable.destroy(Object.assign(new Error('ENOENT'), {code: 'ENOENT'}));
+    });
+  } finally {
+    process.stderr.write = originalWrite;
+  }
+
+  const dropped = [];
+  stream.eventEmitter.on('dropped', (count, path) => dropped.push([count, path]));
+
+  for (let i = 0; i < 4; i++) await writeLine(stream, `line ${i}\n`);
+
+  assert.equal(stream.bufferedLines, 2);
+  assert.equal(stream.droppedLines, 2);
+  assert.deepEqual(dropped, [[1, logFilePath], [2, logFilePath]]);
+});
+
+test('LogStream: reopen writes to a new file after the old one was moved away', async () => {
+  const subDir = join(tmpDir, 'reopen-create');
+  fs.mkdirSync(subDir);
+  const logFilePath = join(subDir, 'app.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false});
+
+  try {
+    await writeLine(stream, 'before\n');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.renameSync(logFilePath, `${logFilePath}.1`);
+
+    const reopened = new Promise(resolve => stream.eventEmitter.once('reopen', resolve));
+    await stream.reopen();
+    assert.equal(await reopened, logFilePath);
+
+    await writeLine(stream, 'after\n');
+    await stream.close();
+
+    assert.equal(fs.readFileSync(`${logFilePath}.1`, 'utf-8'), 'before\n');
+    assert.equal(fs.readFileSync(logFilePath, 'utf-8'), 'after\n');
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream: reopen re-reads the size after copytruncate', async () => {
+  const subDir = join(tmpDir, 'reopen-truncate');
+  fs.mkdirSync(subDir);
+  const logFilePath = join(subDir, 'app.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false, maxSize: 20});
+
+  try {
+    await writeLine(stream, '0123456789abcd\n');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.copyFileSync(logFilePath, `${logFilePath}.1`);
+    fs.truncateSync(logFilePath, 0);
+
+    await stream.reopen();
+    await writeLine(stream, 'after truncate\n');
+    await stream.close();
+
+    assert.deepEqual(fs.readdirSync(subDir).sort(), ['app.log', 'app.log.1']);
+    assert.equal(fs.readFileSync(logFilePath, 'utf-8'), 'after truncate\n');
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream.reopenOnSignal: reopens all instances on the signal', async () => {
+  const subDir = join(tmpDir, 'reopen-signal');
+  fs.mkdirSync(subDir);
+  const streams = ['a.log', 'b.log'].map(name =>
+    LogStream.create({logFilePath: join(subDir, name), createDirectory: false})
+  );
+
+  const fakeProcess = new EventEmitter();
+  const remove = LogStream.reopenOnSignal('SIGHUP', fakeProcess);
+
+  try {
+    assert.equal(LogStream.reopenOnSignal('SIGHUP', fakeProcess), remove);
+    assert.equal(fakeProcess.listenerCount('SIGHUP'), 1);
+
+    const reopened = streams.map(stream => new Promise(resolve => stream.eventEmitter.once('reopen', resolve)));
+    fakeProcess.emit('SIGHUP', 'SIGHUP');
+    assert.deepEqual((await Promise.all(reopened)).sort(), [join(subDir, 'a.log'), join(subDir, 'b.log')]);
+  } finally {
+    remove();
+    await Promise.all(streams.map(stream => stream.close()));
+  }
+
+  assert.equal(fakeProcess.listenerCount('SIGHUP'), 0);
+});
+
+test('LogStream: stats count written bytes and lines', async () => {
+  const logFilePath = join(tmpDir, 'stats.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false});
+
+  try {
+    assert.deepEqual({...stream.stats, lastWriteAt: null}, {
+      path: logFilePath,
+      open: true,
+      exhausted: false,
+      bytesWritten: 0,
+      linesWritten: 0,
+      backpressureWaits: 0,
+      recreateCount: 0,
+      droppedLines: 0,
+      bufferedLines: 0,
+      lastWriteAt: null
+    });
+
+    const before = Date.now();
+    await writeLine(stream, 'hello\n');
+    await writeLine(stream, 'wörld\n');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const {bytesWritten, linesWritten, lastWriteAt} = stream.stats;
+    assert.equal(bytesWritten, 13);
+    assert.equal(linesWritten, 2);
+    assert.ok(lastWriteAt.getTime() >= before);
+    assert.deepEqual(LogStream.getStats().map(stats => stats.path), [logFilePath]);
+  } finally {
+    await stream.close();
+  }
+
+  assert.equal(stream.stats.open, false);
+});
+
+test('LogStream: stats count backpressure waits', async () => {
+  const logFilePath = join(tmpDir, 'stats-backpressure.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false});
+
+  try {
+    await writeLine(stream, 'x'.repeat(64 * 1024) + '\n');
+    assert.equal(stream.stats.backpressureWaits, 1);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('LogStream: emits open, error, recreate and close events', async () => {
+  const logFilePath = join(tmpDir, 'stats-events.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false});
+
+  const events = [];
+  for (const name of ['open', 'close', 'error', 'recreate', 'recreateExhausted']) {
+    stream.eventEmitter.on(name, (...args) => events.push([name, args[0] instanceof Error ? args[0].code : args[0]]));
+  }
+
+  stream.writable.destroy(Object.assign(new Error('ENOENT'), {code: 'ENOENT'}));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await stream.close();
+
+  assert.deepEqual(events, [
+    ['error', 'ENOENT'],
+    ['recreate', 1],
+    ['open', logFilePath],
+    ['close', logFilePath],
+  ]);
+  assert.equal(stream.stats.recreateCount, 1);
+});
+
+test('LogStream: reports exhaustion in stats', async () => {
+  const logFilePath = join(tmpDir, 'stats-exhausted.log');
+  const stream = LogStream.create({logFilePath, createDirectory: false, maxRecreateAttempts: 0});
+
+  const originalWrite = process.stderr.write.bind(process.stderr);
+  process.stderr.write = () => true;
+  try {
+    await new Promise(resolve => {
+      stream.eventEmitter.once('recreateExhausted', resolve);
+      stream.writable.destroy(Object.assign(new Error('EPIPE'), {code: 'EPIPE'}));
+    });
+  } finally {
+    process.stderr.write = originalWrite;
+  }
+
+  await writeLine(stream, 'lost?\n');
+  assert.equal(stream.stats.exhausted, true);
+  assert.equal(stream.stats.open, false);
+  assert.equal(stream.stats.bufferedLines, 1);
+});
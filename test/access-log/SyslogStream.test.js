@@ -0,0 +1,222 @@
+import {after, before, test} from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'node:dgram';
+import net from 'node:net';
+import {mkdtempSync, rmSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {SyslogStream} from '../../dist/access-log/SyslogStream.js';
+import {accessLogMiddleware} from '../../dist/access-log/accessLogMiddleware.js';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = mkdtempSync(join(tmpdir(), 'syslog-test-'));
+});
+
+after(async () => {
+  await SyslogStream.reset();
+  rmSync(tmpDir, {recursive: true, force: true});
+});
+
+const write = (stream, line) => new Promise(resolve => stream.write(line, resolve));
+
+const startUdpServer = async () => {
+  const server = dgram.createSocket('udp4');
+  const messages = [];
+  const waiters = [];
+  server.on('message', msg => {
+    messages.push(msg.toString());
+    waiters.splice(0).forEach(resolve => resolve());
+  });
+  await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    messages,
+    next: () => new Promise(resolve => waiters.push(resolve)),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+const startStreamServer = async (listenArgs) => {
+  const sockets = [];
+  let data = '';
+  const server = net.createServer(socket => {
+    sockets.push(socket);
+    socket.on('data', chunk => data += chunk);
+  });
+  await new Promise(resolve => server.listen(...listenArgs, resolve));
+  return {
+    server,
+    sockets,
+    get data() {
+      return data;
+    },
+    close: () => {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+const parseOctetCounted = (data) => {
+  const frames = [];
+  let rest = Buffer.from(data);
+  while (rest.length) {
+    const space = rest.indexOf(0x20);
+    const length = Number(rest.subarray(0, space).toString());
+    frames.push(rest.subarray(space + 1, space + 1 + length).toString());
+    rest = rest.subarray(space + 1 + length);
+  }
+  return frames;
+};
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test('SyslogStream: validates options', () => {
+  assert.throws(() => new SyslogStream({protocol: 'http'}), {message: 'SyslogStream: protocol must be "udp", "tcp" or "unix"'});
+  assert.throws(() => new SyslogStream({protocol: 'unix'}), {message: 'SyslogStream: path is required when protocol="unix"'});
+  assert.throws(() => new SyslogStream({port: 70000}), {message: 'SyslogStream: port must be a valid port number'});
+  assert.throws(() => new SyslogStream({facility: 'web'}), {message: 'SyslogStream: unknown facility "web"'});
+  assert.throws(() => new SyslogStream({severity: 'loud'}), {message: 'SyslogStream: unknown severity "loud"'});
+});
+
+test('SyslogStream: formats RFC 5424 messages', async () => {
+  const stream = new SyslogStream({facility: 'local3', severity: 'notice', appName: 'my app', hostname: 'web-1', msgId: 'http'});
+  try {
+    const message = stream.format('GET / 200\n');
+    assert.match(
+      message,
+      new RegExp(`^<157>1 \\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}\\.\\d{3}Z web-1 my_app ${process.pid} http - GET / 200$`)
+    );
+  } finally {
+    await stream.close();
+  }
+});
+
+test('SyslogStream: sends one datagram per line via udp', async () => {
+  const server = await startUdpServer();
+  const stream = new SyslogStream({port: server.port, host: '127.0.0.1', hostname: 'web-1', appName: 'api'});
+
+  try {
+    const received = server.next();
+    await write(stream, 'GET /health 200\n');
+    await received;
+
+    assert.equal(server.messages.length, 1);
+    assert.match(server.messages[0], /^<134>1 \S+ web-1 api \d+ access - GET \/health 200$/);
+  } finally {
+    await stream.close();
+    await server.close();
+  }
+});
+
+test('SyslogStream: uses octet-counting framing via tcp and buffers until connected', async () => {
+  const server = await startStreamServer([0, '127.0.0.1']);
+  const stream = new SyslogStream({protocol: 'tcp', host: '127.0.0.1', port: server.server.address().port});
+
+  try {
+    await write(stream, 'first line\n');
+    assert.equal(stream.bufferedLines, 1);
+
+    await new Promise(resolve => stream.eventEmitter.once('connect', resolve));
+    await write(stream, 'second line with ü\n');
+    await waitFor(() => parseOctetCounted(server.data).length === 2);
+
+    const frames = parseOctetCounted(server.data);
+    assert.match(frames[0], / - first line$/);
+    assert.match(frames[1], / - second line with ü$/);
+  } finally {
+    await stream.close();
+    await server.close();
+  }
+});
+
+test('SyslogStream: reconnects after the connection is lost', async () => {
+  const server = await startStreamServer([0, '127.0.0.1']);
+  const stream = new SyslogStream({protocol: 'tcp', host: '127.0.0.1', port: server.server.address().port, reconnectDelay: 10});
+
+  try {
+    await new Promise(resolve => stream.eventEmitter.once('connect', resolve));
+
+    const reconnecting = new Promise(resolve => stream.eventEmitter.once('reconnect', resolve));
+    server.sockets[0].destroy();
+    assert.equal(await reconnecting, 1);
+
+    await new Promise(resolve => stream.eventEmitter.once('connect', resolve));
+    assert.equal(stream.reconnectAttempts, 0);
+
+    await write(stream, 'after reconnect\n');
+    await waitFor(() => server.data.includes('after reconnect'));
+    assert.match(parseOctetCounted(server.data)[0], / - after reconnect$/);
+  } finally {
+    await stream.close();
+    await server.close();
+  }
+});
+
+test('SyslogStream: gives up after maxReconnectAttempts and drops overflowing lines', async () => {
+  const server = await startStreamServer([0, '127.0.0.1']);
+  const port = server.server.address().port;
+  await server.close();
+
+  const originalWrite = process.stderr.write.bind(process.stderr);
+  process.stderr.write = () => true;
+  const stream = new SyslogStream({protocol: 'tcp', host: '127.0.0.1', port, maxReconnectAttempts: 1, reconnectDelay: 0, maxBufferedLines: 1});
+
+  try {
+    await new Promise(resolve => stream.eventEmitter.once('reconnectExhausted', resolve));
+
+    const dropped = [];
+    stream.eventEmitter.on('dropped', count => dropped.push(count));
+    await write(stream, 'kept\n');
+    await write(stream, 'dropped\n');
+
+    assert.equal(stream.bufferedLines, 1);
+    assert.equal(stream.droppedLines, 1);
+    assert.deepEqual(dropped, [1]);
+  } finally {
+    process.stderr.write = originalWrite;
+    await stream.close();
+  }
+});
+
+test('SyslogStream: writes to a unix domain stream socket', async () => {
+  const path = join(tmpDir, 'syslog.sock');
+  const server = await startStreamServer([path]);
+  const stream = new SyslogStream({protocol: 'unix', path});
+
+  try {
+    await write(stream, 'via unix socket\n');
+    await waitFor(() => server.data.includes('via unix socket'));
+    assert.match(parseOctetCounted(server.data)[0], / - via unix socket$/);
+  } finally {
+    await stream.close();
+    await server.close();
+  }
+});
+
+test('accessLogMiddleware: writes to syslog', async () => {
+  const server = await startUdpServer();
+  const middleware = accessLogMiddleware({
+    output: 'syslog',
+    format: ':method :url',
+    syslog: {host: '127.0.0.1', port: server.port, appName: 'api'}
+  });
+
+  try {
+    const received = server.next();
+    const req = {headers: {}, method: 'GET', url: '/syslog'};
+    const res = {getHeader: () => undefined, setHeader: () => {}, statusCode: 200};
+    await new Promise(resolve => middleware(req, res, resolve));
+    await received;
+
+    assert.match(server.messages[0], / api \d+ access - GET \/syslog$/);
+  } finally {
+    await server.close();
+  }
+});
@@ -5,6 +5,8 @@ import {tmpdir} from 'node:os';
 import {join} from 'node:path';
 import {accessLogMiddleware} from '../../dist/access-log/accessLogMiddleware.js';
 import {LogStream} from '../../dist/access-log/LogStream.js';
+import {HttpSink} from '../../dist/access-log/HttpSink.js';
+import http from 'node:http';
 
 let tmpDir;
 
@@ -197,3 +199,377 @@ test('accessLogMiddleware: calls callback when stream is not writable', async ()
 
   assert.ok(nextCalled);
 });
+
+test('accessLogMiddleware: reports lines dropped while the log file is closed', async () => {
+  const logDir = join(tmpDir, 'dropped-test');
+  const dropped = [];
+  const middleware = accessLogMiddleware({
+    output: 'file',
+    path: logDir,
+    filename: 'access.log',
+    format: ':method :url',
+    maxBufferedLines: 1,
+    onDropped: (target, droppedLines) => dropped.push([target, droppedLines])
+  });
+
+  const logStream = LogStream.create({logFilePath: join(logDir, 'access.log'), createDirectory: true});
+  await logStream.close();
+
+  for (const url of ['/1', '/2', '/3']) {
+    const res = {...mockRes};
+    await new Promise(resolve => middleware({...mockReq, url, originalUrl: url}, res, resolve));
+    res.end();
+  }
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.equal(logStream.bufferedLines, 1);
+  assert.deepEqual(dropped, [[join(logDir, 'access.log'), 1], [join(logDir, 'access.log'), 2]]);
+});
+
+test('accessLogMiddleware: throws when onDropped is not a function', () => {
+  assert.throws(
+    () => accessLogMiddleware({output: 'stdout', onDropped: 'alert'}),
+    {message: 'accessLogMiddleware: onDropped must be a function'}
+  );
+});
+
+test('accessLogMiddleware: rotates file output by maxSize', async () => {
+  const logDir = join(tmpDir, 'max-size-test');
+  const middleware = accessLogMiddleware({
+    output: 'file',
+    path: logDir,
+    filename: 'app.log',
+    format: 'tiny',
+    maxSize: 1
+  });
+
+  for (let i = 0; i < 2; i++) {
+    await new Promise(resolve => middleware(mockReq, mockRes, resolve));
+    mockRes.end();
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  assert.deepEqual(readdirSync(logDir).sort(), ['app.log', 'app.log.1']);
+});
+
+test('accessLogMiddleware: compresses the previous file when the filename changes', async () => {
+  const logDir = join(tmpDir, 'compress-switch-test');
+  let filename = 'day1.log';
+  const middleware = accessLogMiddleware({
+    output: 'file',
+    path: logDir,
+    filename: () => filename,
+    compress: 'gzip'
+  });
+
+  filename = 'day2.log';
+  await new Promise(resolve => middleware(mockReq, mockRes, resolve));
+  mockRes.end();
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  assert.deepEqual(readdirSync(logDir).sort(), ['day1.log.gz', 'day2.log']);
+});
+
+test('accessLogMiddleware: writes one JSON object per line with format json', async () => {
+  let output = '';
+  const originalWrite = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk) => {
+    output += chunk;
+    return true;
+  };
+
+  try {
+    const middleware = accessLogMiddleware({
+      output: 'stdout',
+      format: 'json',
+      jsonFields: () => ({service: 'api'})
+    });
+    await new Promise(resolve => {
+      middleware({...mockReq, requestId: 'req-1'}, mockRes, resolve);
+    });
+    mockRes.end()
+    await new Promise(resolve => setTimeout(resolve, 100))
+  } finally {
+    process.stdout.write = originalWrite;
+  }
+
+  assert.ok(output.endsWith('\n'));
+  const line = JSON.parse(output);
+  assert.equal(line.method, 'GET');
+  assert.equal(line.requestId, 'req-1');
+  assert.equal(line.service, 'api');
+});
+
+test('accessLogMiddleware: supports custom format strings and tokens', async () => {
+  let output = '';
+  const originalWrite = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk) => {
+    output += chunk;
+    return true;
+  };
+
+  try {
+    const middleware = accessLogMiddleware({
+      output: 'stdout',
+      format: ':method :request-id :tenant',
+      tokens: {tenant: () => 'acme'}
+    });
+    await new Promise(resolve => {
+      middleware({...mockReq, requestId: 'req-1'}, mockRes, resolve);
+    });
+    mockRes.end()
+    await new Promise(resolve => setTimeout(resolve, 100))
+  } finally {
+    process.stdout.write = originalWrite;
+  }
+
+  assert.equal(output, 'GET req-1 acme\n');
+});
+
+test('accessLogMiddleware: throws on empty destinations', () => {
+  assert.throws(
+    () => accessLogMiddleware({destinations: []}),
+    {message: 'accessLogMiddleware: destinations must be a non-empty array'}
+  );
+});
+
+test('accessLogMiddleware: writes to multiple destinations with their own format and skip', async () => {
+  const logDir = join(tmpDir, 'destinations-test');
+  let output = '';
+  const originalWrite = process.stderr.write.bind(process.stderr);
+  process.stderr.write = (chunk) => {
+    output += chunk;
+    return true;
+  };
+
+  let nextCalls = 0;
+  try {
+    const middleware = accessLogMiddleware({
+      format: ':method :url',
+      destinations: [
+        {output: 'stderr'},
+        {output: 'file', path: logDir, filename: 'app.log', format: 'json'},
+        {output: 'file', path: logDir, filename: 'skipped.log', skip: () => true},
+      ]
+    });
+    await new Promise(resolve => {
+      middleware(mockReq, mockRes, () => {
+        nextCalls++;
+        resolve();
+      });
+    });
+    mockRes.end()
+    await new Promise(resolve => setTimeout(resolve, 100))
+  } finally {
+    process.stderr.write = originalWrite;
+  }
+
+  assert.equal(nextCalls, 1);
+  assert.equal(output, 'GET /\n');
+  assert.equal(JSON.parse(readFileSync(join(logDir, 'app.log'), 'utf-8')).method, 'GET');
+  assert.equal(readFileSync(join(logDir, 'skipped.log'), 'utf-8'), '');
+});
+
+test('accessLogMiddleware: samples successful responses but keeps errors', async () => {
+  let output = '';
+  const originalWrite = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk) => {
+    output += chunk;
+    return true;
+  };
+
+  try {
+    const middleware = accessLogMiddleware({output: 'stdout', format: ':status', sample: {rate: 0}});
+    for (const statusCode of [200, 500]) {
+      const res = {...mockRes, statusCode, headersSent: true};
+      await new Promise(resolve => middleware(mockReq, res, resolve));
+      res.end()
+    }
+    await new Promise(resolve => setTimeout(resolve, 100))
+  } finally {
+    process.stdout.write = originalWrite;
+  }
+
+  assert.equal(output, '500\n');
+});
+
+test('accessLogMiddleware: redacts query parameters before writing', async () => {
+  const logDir = join(tmpDir, 'redact-test');
+  const middleware = accessLogMiddleware({
+    output: 'file',
+    path: logDir,
+    filename: 'app.log',
+    format: 'combined',
+    redact: {query: ['token']}
+  });
+
+  const req = {...mockReq, url: '/reset?token=abc123', originalUrl: '/reset?token=abc123'};
+  await new Promise(resolve => middleware(req, mockRes, resolve));
+  mockRes.end()
+  await new Promise(resolve => setTimeout(resolve, 100))
+
+  const content = readFileSync(join(logDir, 'app.log'), 'utf-8');
+  assert.match(content, /\/reset\?token=\[REDACTED\]/);
+  assert.doesNotMatch(content, /abc123/);
+});
+
+test('accessLogMiddleware: writes slow requests to the slow log in the same directory', async () => {
+  const logDir = join(tmpDir, 'slow-log-test');
+  const middleware = accessLogMiddleware({
+    output: 'file',
+    path: logDir,
+    filename: 'access.log',
+    slowLog: {threshold: 10, filename: 'slow.log'}
+  });
+
+  const listeners = {};
+  const res = {
+    ...mockRes,
+    writeHead() {
+    },
+    writableFinished: true,
+    once(event, cb) {
+      listeners[event] = cb;
+    }
+  };
+
+  let nextCalls = 0;
+  middleware(mockReq, res, () => nextCalls++);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  listeners.close();
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.equal(nextCalls, 1);
+  const line = JSON.parse(readFileSync(join(logDir, 'slow.log'), 'utf-8'));
+  assert.equal(line.url, '/');
+  assert.equal(line.aborted, false);
+  assert.ok(line.total >= 10);
+});
+
+test('accessLogMiddleware: routes matching requests to their own files', async () => {
+  const logDir = join(tmpDir, 'routes-test');
+  const middleware = accessLogMiddleware({
+    output: 'file',
+    path: logDir,
+    filename: 'access.log',
+    format: ':method :url',
+    routes: [
+      {match: '/admin', filename: 'audit.log', maxFiles: 90},
+      {match: req => req.url.startsWith('/payments'), filename: 'audit.log'},
+      {match: /^\/internal/, path: join(logDir, 'internal'), filename: 'internal.log'}
+    ]
+  });
+
+  for (const url of ['/admin/users', '/', '/payments/1', '/internal/metrics', '/administrator']) {
+    const res = {...mockRes};
+    await new Promise(resolve => middleware({...mockReq, url, originalUrl: url}, res, resolve));
+    res.end();
+  }
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.equal(readFileSync(join(logDir, 'access.log'), 'utf-8'), 'GET /\nGET /administrator\n');
+  assert.equal(readFileSync(join(logDir, 'audit.log'), 'utf-8'), 'GET /admin/users\nGET /payments/1\n');
+  assert.equal(readFileSync(join(logDir, 'internal', 'internal.log'), 'utf-8'), 'GET /internal/metrics\n');
+});
+
+test('accessLogMiddleware: throws when a route has no path', () => {
+  assert.throws(
+    () => accessLogMiddleware({output: 'stdout', routes: [{match: '/admin', filename: 'audit.log'}]}),
+    {message: 'accessLogMiddleware: routes[0].path is required'}
+  );
+});
+
+test('accessLogMiddleware: throws on top-level routes with destinations', () => {
+  assert.throws(
+    () => accessLogMiddleware({
+      path: join(tmpDir, 'top-level-routes-test'),
+      routes: [{match: '/admin', filename: 'audit.log'}],
+      destinations: [{output: 'file'}, {output: 'file', filename: 'other.log'}]
+    }),
+    {message: 'accessLogMiddleware: routes must be set on a destination when destinations is used'}
+  );
+});
+
+test('accessLogMiddleware: routes only split the destination they are set on', async () => {
+  const logDir = join(tmpDir, 'destination-routes-test');
+  const middleware = accessLogMiddleware({
+    path: logDir,
+    format: ':method :url',
+    destinations: [
+      {output: 'file', filename: 'all.log'},
+      {output: 'file', filename: 'access.log', routes: [{match: '/admin', filename: 'audit.log'}]}
+    ]
+  });
+
+  for (const url of ['/admin/users', '/']) {
+    const res = {...mockRes};
+    await new Promise(resolve => middleware({...mockReq, url, originalUrl: url}, res, resolve));
+    res.end();
+  }
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.equal(readFileSync(join(logDir, 'all.log'), 'utf-8'), 'GET /admin/users\nGET /\n');
+  assert.equal(readFileSync(join(logDir, 'access.log'), 'utf-8'), 'GET /\n');
+  assert.equal(readFileSync(join(logDir, 'audit.log'), 'utf-8'), 'GET /admin/users\n');
+});
+
+test('accessLogMiddleware: accepts filename templates with utc', async () => {
+  const logDir = join(tmpDir, 'template-test');
+  const middleware = accessLogMiddleware({
+    output: 'file',
+    path: logDir,
+    filename: 'access-%Y-%m-%dT%H.log',
+    utc: true
+  });
+
+  const now = new Date().toISOString();
+  await new Promise(resolve => middleware(mockReq, mockRes, resolve));
+  mockRes.end()
+  await new Promise(resolve => setTimeout(resolve, 100))
+
+  const [file] = readdirSync(logDir);
+  assert.match(file, /^access-\d{4}-\d{2}-\d{2}T\d{2}\.log$/);
+  assert.ok(file.startsWith(`access-${now.slice(0, 10)}`));
+});
+
+test('accessLogMiddleware: ships JSON lines to an HTTP endpoint', async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      bodies.push(body);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const middleware = accessLogMiddleware({
+      output: 'http',
+      http: {url: `http://127.0.0.1:${server.address().port}/ingest`, flushInterval: 10000}
+    });
+    await new Promise(resolve => middleware({...mockReq, requestId: 'req-1'}, mockRes, resolve));
+    mockRes.end()
+    await new Promise(resolve => setTimeout(resolve, 100))
+    assert.equal(bodies.length, 0); // buffered until flushInterval or flushAll
+
+    await HttpSink.flushAll();
+  } finally {
+    await HttpSink.reset();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  assert.equal(bodies.length, 1);
+  const line = JSON.parse(bodies[0]);
+  assert.equal(line.method, 'GET');
+  assert.equal(line.requestId, 'req-1');
+});
+
+test('accessLogMiddleware: throws when output is http but url is missing', () => {
+  assert.throws(
+    () => accessLogMiddleware({output: 'http'}),
+    {message: 'accessLogMiddleware: config.http.url is required when output="http"'}
+  );
+});
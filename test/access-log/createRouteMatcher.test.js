@@ -0,0 +1,38 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createRouteMatcher} from '../../dist/access-log/createRouteMatcher.js';
+
+const req = (originalUrl) => ({originalUrl, url: originalUrl, headers: {}});
+
+test('createRouteMatcher: string matches the path and everything below it', () => {
+  const matches = createRouteMatcher('/admin', 0);
+
+  assert.equal(matches(req('/admin')), true);
+  assert.equal(matches(req('/admin/users?page=2')), true);
+  assert.equal(matches(req('/admin?tab=1')), true);
+  assert.equal(matches(req('/administrator')), false);
+  assert.equal(matches(req('/api/admin')), false);
+});
+
+test('createRouteMatcher: RegExp is tested against the path without query string', () => {
+  const matches = createRouteMatcher(/^\/payments\/\d+$/, 0);
+
+  assert.equal(matches(req('/payments/42?token=1')), true);
+  assert.equal(matches(req('/payments/abc')), false);
+});
+
+test('createRouteMatcher: predicates are used as they are', () => {
+  const predicate = r => r.headers['x-audit'] === '1';
+  assert.equal(createRouteMatcher(predicate, 0), predicate);
+});
+
+test('createRouteMatcher: throws on invalid match', () => {
+  assert.throws(
+    () => createRouteMatcher('admin', 2),
+    {message: 'accessLogMiddleware: routes[2].match must be a path starting with "/", a RegExp or a function'}
+  );
+  assert.throws(
+    () => createRouteMatcher(undefined, 0),
+    {message: 'accessLogMiddleware: routes[0].match must be a path starting with "/", a RegExp or a function'}
+  );
+});
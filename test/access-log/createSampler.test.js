@@ -0,0 +1,57 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createSampler} from '../../dist/access-log/createSampler.js';
+
+const mockReq = (overrides = {}) => ({
+  method: 'GET',
+  url: '/health',
+  headers: {},
+  _startAt: [1, 0],
+  ...overrides
+});
+
+const mockRes = (overrides = {}) => ({
+  statusCode: 200,
+  headersSent: true,
+  _startAt: [1, 1000000],
+  getHeader: () => undefined,
+  ...overrides
+});
+
+test('createSampler: skips all successful responses with rate 0 and none with rate 1', () => {
+  assert.equal(createSampler({rate: 0})(mockReq(), mockRes()), true);
+  assert.equal(createSampler({rate: 1})(mockReq(), mockRes()), false);
+});
+
+test('createSampler: always logs error responses', () => {
+  const skip = createSampler({rate: 0});
+  assert.equal(skip(mockReq(), mockRes({statusCode: 404})), false);
+  assert.equal(skip(mockReq(), mockRes({statusCode: 503})), false);
+});
+
+test('createSampler: always logs slow and large responses', () => {
+  const skip = createSampler({rate: 0, slowThreshold: 100, sizeThreshold: 1024});
+
+  assert.equal(skip(mockReq(), mockRes({_startAt: [1, 250000000]})), false);
+  assert.equal(skip(mockReq(), mockRes({getHeader: name => name === 'content-length' ? '2048' : undefined})), false);
+  assert.equal(skip(mockReq(), mockRes({getHeader: name => name === 'content-length' ? '512' : undefined})), true);
+});
+
+test('createSampler: decides deterministically per correlationId', () => {
+  const skip = createSampler({rate: 0.5});
+  const decisions = Array.from({length: 200}, (_, i) => skip(mockReq({correlationId: `corr-${i}`}), mockRes()));
+
+  for (let i = 0; i < 200; i++) {
+    assert.equal(skip(mockReq({correlationId: `corr-${i}`, requestId: `other-hop-${i}`}), mockRes()), decisions[i]);
+  }
+
+  const logged = decisions.filter(skipped => !skipped).length;
+  assert.ok(logged > 60 && logged < 140, `expected about half to be logged, got ${logged}`);
+});
+
+test('createSampler: validates options', () => {
+  assert.throws(() => createSampler({rate: 1.5}), {message: 'accessLogMiddleware: sample.rate must be a number between 0 and 1'});
+  assert.throws(() => createSampler({}), {message: 'accessLogMiddleware: sample.rate must be a number between 0 and 1'});
+  assert.throws(() => createSampler({rate: 0.1, slowThreshold: 0}), {message: 'accessLogMiddleware: sample.slowThreshold must be a number > 0'});
+  assert.throws(() => createSampler({rate: 0.1, sizeThreshold: -1}), {message: 'accessLogMiddleware: sample.sizeThreshold must be a number > 0'});
+});
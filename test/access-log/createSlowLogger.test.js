@@ -0,0 +1,129 @@
+import {after, before, beforeEach, test} from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {existsSync, mkdtempSync, readFileSync, rmSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {createSlowLogger} from '../../dist/access-log/createSlowLogger.js';
+import {LogStream} from '../../dist/access-log/LogStream.js';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = mkdtempSync(join(tmpdir(), 'slow-log-test-'));
+});
+
+after(() => {
+  rmSync(tmpDir, {recursive: true, force: true});
+  LogStream.reset();
+});
+
+beforeEach(() => {
+  LogStream.reset();
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Starts a server that runs the middleware and then the handler, resolves with its base url.
+ */
+const startServer = async (middleware, handler) => {
+  const server = http.createServer((req, res) => {
+    req.requestId = 'req-1';
+    req.correlationId = 'corr-1';
+    middleware(req, res, () => handler(req, res));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {server, url: `http://127.0.0.1:${server.address().port}`};
+};
+
+const readLines = path => existsSync(path)
+  ? readFileSync(path, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+  : [];
+
+test('createSlowLogger: writes slow requests with timing breakdown', async () => {
+  const logFile = join(tmpDir, 'slow.log');
+  const middleware = createSlowLogger({threshold: 50, path: tmpDir, filename: 'slow.log'});
+
+  const {server, url} = await startServer(middleware, async (req, res) => {
+    if (req.url === '/fast') return res.end('ok');
+    res.writeHead(200);
+    await wait(20);
+    res.write('first');
+    await wait(60);
+    res.end('done');
+  });
+
+  try {
+    await (await fetch(`${url}/fast`)).text();
+    await (await fetch(`${url}/slow?x=1`)).text();
+    await wait(50);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  const lines = readLines(logFile);
+  assert.equal(lines.length, 1);
+  const [line] = lines;
+  assert.equal(line.method, 'GET');
+  assert.equal(line.url, '/slow?x=1');
+  assert.equal(line.status, 200);
+  assert.equal(line.aborted, false);
+  assert.equal(line.requestId, 'req-1');
+  assert.equal(line.correlationId, 'corr-1');
+  assert.ok(line.ttfb < 50, `ttfb ${line.ttfb}`);
+  assert.ok(line.total >= 50, `total ${line.total}`);
+});
+
+test('createSlowLogger: marks requests aborted by the client', async () => {
+  const logFile = join(tmpDir, 'aborted.log');
+  const middleware = createSlowLogger({threshold: 20, path: tmpDir, filename: 'aborted.log'});
+
+  const {server, url} = await startServer(middleware, () => {
+    // never responds, the client gives up
+  });
+
+  try {
+    await assert.rejects(fetch(`${url}/hang`, {signal: AbortSignal.timeout(50)}));
+    await wait(50);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  const [line] = readLines(logFile);
+  assert.equal(line.url, '/hang');
+  assert.equal(line.aborted, true);
+  assert.equal(line.status, null);
+  assert.equal(line.ttfb, null);
+});
+
+test('createSlowLogger: applies redaction rules', async () => {
+  const logFile = join(tmpDir, 'redacted.log');
+  const middleware = createSlowLogger({threshold: 1, path: tmpDir, filename: 'redacted.log'}, {query: ['token']});
+
+  const {server, url} = await startServer(middleware, async (_req, res) => {
+    await wait(10);
+    res.end();
+  });
+
+  try {
+    await (await fetch(`${url}/reset?token=secret`)).text();
+    await wait(50);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  assert.equal(readLines(logFile)[0].url, '/reset?token=[REDACTED]');
+});
+
+test('createSlowLogger: validates options', () => {
+  assert.throws(
+    () => createSlowLogger({threshold: 0, path: tmpDir}),
+    {message: 'accessLogMiddleware: slowLog.threshold must be a number > 0'}
+  );
+  assert.throws(
+    () => createSlowLogger({threshold: 100}),
+    {message: 'accessLogMiddleware: slowLog.path is required'}
+  );
+});
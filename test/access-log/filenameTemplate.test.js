@@ -0,0 +1,52 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {formatFilenameTemplate, resolveFilename} from '../../dist/access-log/filenameTemplate.js';
+
+const date = new Date('2026-03-01T23:45:00.000Z');
+
+test('formatFilenameTemplate: replaces placeholders in UTC', () => {
+  assert.equal(
+    formatFilenameTemplate('access-%Y-%m-%dT%H-%M.log', date, {utc: true}),
+    'access-2026-03-01T23-45.log'
+  );
+});
+
+test('formatFilenameTemplate: uses the given timezone', () => {
+  assert.equal(formatFilenameTemplate('access-%Y-%m-%dT%H.log', date, {timezone: 'Europe/Berlin'}), 'access-2026-03-02T00.log');
+  assert.equal(formatFilenameTemplate('access-%Y-%m-%dT%H.log', date, {timezone: 'America/New_York'}), 'access-2026-03-01T18.log');
+});
+
+test('formatFilenameTemplate: uses local time without timezone', () => {
+  const expected = `${date.getFullYear()}_${String(date.getMonth() + 1).padStart(2, '0')}_${String(date.getDate()).padStart(2, '0')}`;
+  assert.equal(formatFilenameTemplate('%Y_%m_%d', date), expected);
+});
+
+test('formatFilenameTemplate: %% is a literal percent sign', () => {
+  assert.equal(formatFilenameTemplate('100%%-%Y.log', date, {utc: true}), '100%-2026.log');
+});
+
+test('resolveFilename: keeps plain strings and functions', () => {
+  const fn = () => 'custom.log';
+  assert.equal(resolveFilename(fn), fn);
+  assert.equal(resolveFilename('app.log')(), 'app.log');
+});
+
+test('resolveFilename: formats templates on every call', () => {
+  const filename = resolveFilename('access-%Y.log', {utc: true});
+  assert.equal(filename(), `access-${new Date().getUTCFullYear()}.log`);
+});
+
+test('resolveFilename: validates placeholders and time options', () => {
+  assert.throws(
+    () => resolveFilename('access-%S.log'),
+    {message: 'accessLogMiddleware: unsupported placeholder "%S" in filename "access-%S.log"'}
+  );
+  assert.throws(
+    () => resolveFilename('access.log', {timezone: 'Mars/Olympus'}),
+    {message: 'accessLogMiddleware: unknown timezone "Mars/Olympus"'}
+  );
+  assert.throws(
+    () => resolveFilename('access.log', {timezone: 'UTC', utc: true}),
+    {message: 'accessLogMiddleware: use either timezone or utc, not both'}
+  );
+});
@@ -0,0 +1,64 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import morgan from 'morgan';
+import {jsonFormat} from '../../dist/access-log/jsonFormat.js';
+
+const mockReq = (overrides = {}) => ({
+  method: 'POST',
+  url: '/orders?id=1',
+  originalUrl: '/orders?id=1',
+  headers: {'user-agent': 'test-agent'},
+  ip: '10.0.0.1',
+  _startAt: [1, 0],
+  ...overrides
+});
+
+const mockRes = () => ({
+  statusCode: 201,
+  headersSent: true,
+  _header: 'HTTP/1.1 201 Created',
+  _startAt: [1, 2500000],
+  getHeader: (name) => name === 'content-length' ? '42' : undefined
+});
+
+test('jsonFormat: writes request fields as JSON', () => {
+  const line = JSON.parse(jsonFormat()(morgan, mockReq(), mockRes()));
+
+  assert.match(line.time, /^\d{4}-\d{2}-\d{2}T/);
+  assert.equal(line.method, 'POST');
+  assert.equal(line.url, '/orders?id=1');
+  assert.equal(line.status, 201);
+  assert.equal(line.responseTime, 2.5);
+  assert.equal(line.bytes, 42);
+  assert.equal(line.remoteAddr, '10.0.0.1');
+  assert.equal(line.userAgent, 'test-agent');
+  assert.equal('requestId' in line, false);
+});
+
+test('jsonFormat: uses null for values that are not available', () => {
+  const res = {...mockRes(), headersSent: false, _header: null, _startAt: undefined};
+  const line = JSON.parse(jsonFormat()(morgan, mockReq({headers: {}}), res));
+
+  assert.equal(line.status, null);
+  assert.equal(line.responseTime, null);
+  assert.equal(line.bytes, null);
+  assert.equal(line.userAgent, null);
+});
+
+test('jsonFormat: includes request correlation fields', () => {
+  const req = mockReq({requestId: 'req-1', correlationId: 'corr-1', requestChain: ['a', 'req-1']});
+  const line = JSON.parse(jsonFormat()(morgan, req, mockRes()));
+
+  assert.equal(line.requestId, 'req-1');
+  assert.equal(line.correlationId, 'corr-1');
+  assert.deepEqual(line.requestChain, ['a', 'req-1']);
+});
+
+test('jsonFormat: merges additional fields from callback', () => {
+  const format = jsonFormat((req, res) => ({tenant: 'acme', code: res.statusCode, method: req.method.toLowerCase()}));
+  const line = JSON.parse(format(morgan, mockReq(), mockRes()));
+
+  assert.equal(line.tenant, 'acme');
+  assert.equal(line.code, 201);
+  assert.equal(line.method, 'post');
+});
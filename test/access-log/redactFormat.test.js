@@ -0,0 +1,70 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import morgan from 'morgan';
+import {redactFormat} from '../../dist/access-log/redactFormat.js';
+import {resolveFormat} from '../../dist/access-log/resolveFormat.js';
+
+const mockReq = (overrides = {}) => ({
+  method: 'GET',
+  url: '/reset?token=abc123&user=jane&Code=xyz',
+  originalUrl: '/reset?token=abc123&user=jane&Code=xyz',
+  httpVersionMajor: 1,
+  httpVersionMinor: 1,
+  headers: {
+    'authorization': 'Bearer secret',
+    'referer': 'https://example.com/login?code=oauth-code',
+    'user-agent': 'test-agent'
+  },
+  ip: '10.0.0.1',
+  ...overrides
+});
+
+const mockRes = () => ({
+  statusCode: 200,
+  headersSent: true,
+  _header: 'HTTP/1.1 200 OK',
+  getHeader: (name) => name === 'set-cookie' ? 'session=abc' : undefined
+});
+
+test('redactFormat: masks query parameters case-insensitively', () => {
+  const format = redactFormat(resolveFormat(':url'), {query: ['token', 'code']});
+  assert.equal(format(morgan, mockReq(), mockRes()), '/reset?token=[REDACTED]&user=jane&Code=[REDACTED]');
+});
+
+test('redactFormat: applies the same rules to presets and json', () => {
+  const redaction = {query: ['token', 'code'], headers: ['referer']};
+
+  const combined = redactFormat(resolveFormat('combined'), redaction)(morgan, mockReq(), mockRes());
+  assert.match(combined, /"GET \/reset\?token=\[REDACTED\]&user=jane&Code=\[REDACTED\] HTTP\/1\.1"/);
+  assert.match(combined, /"\[REDACTED\]" "test-agent"$/);
+  assert.doesNotMatch(combined, /abc123|oauth-code/);
+
+  const json = JSON.parse(redactFormat(resolveFormat('json'), redaction)(morgan, mockReq(), mockRes()));
+  assert.equal(json.url, '/reset?token=[REDACTED]&user=jane&Code=[REDACTED]');
+});
+
+test('redactFormat: masks request and response headers', () => {
+  const format = redactFormat(resolveFormat(':req[Authorization] :res[set-cookie] :user-agent'), {
+    headers: ['authorization', 'Set-Cookie'],
+    replacement: '***'
+  });
+  assert.equal(format(morgan, mockReq(), mockRes()), '*** *** test-agent');
+});
+
+test('redactFormat: masks every match of the given patterns', () => {
+  const format = redactFormat(resolveFormat(':url :req[authorization]'), {
+    patterns: [/Bearer \S+/, /jane/]
+  });
+  assert.equal(format(morgan, mockReq(), mockRes()), '/reset?token=abc123&user=[REDACTED]&Code=xyz [REDACTED]');
+});
+
+test('redactFormat: passes through lines that are skipped by the format', () => {
+  const format = redactFormat(() => undefined, {query: ['token']});
+  assert.equal(format(morgan, mockReq(), mockRes()), undefined);
+});
+
+test('redactFormat: validates options', () => {
+  assert.throws(() => redactFormat(resolveFormat(':url'), {query: 'token'}), {message: 'accessLogMiddleware: redact.query must be an array of non-empty strings'});
+  assert.throws(() => redactFormat(resolveFormat(':url'), {headers: ['']}), {message: 'accessLogMiddleware: redact.headers must be an array of non-empty strings'});
+  assert.throws(() => redactFormat(resolveFormat(':url'), {patterns: ['secret']}), {message: 'accessLogMiddleware: redact.patterns must be an array of regular expressions'});
+});
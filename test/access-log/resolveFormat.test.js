@@ -0,0 +1,78 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import morgan from 'morgan';
+import {resolveFormat} from '../../dist/access-log/resolveFormat.js';
+import {builtinTokens, registerTokens} from '../../dist/access-log/registerTokens.js';
+
+const mockReq = (overrides = {}) => ({
+  method: 'GET',
+  url: '/items',
+  originalUrl: '/items',
+  headers: {},
+  ...overrides
+});
+
+const mockRes = () => ({statusCode: 200, headersSent: true, _header: 'HTTP/1.1 200 OK', getHeader: () => undefined});
+
+test('resolveFormat: resolves presets', () => {
+  const line = resolveFormat('tiny')(morgan, mockReq(), mockRes());
+  assert.match(line, /^GET \/items 200/);
+  assert.equal(typeof resolveFormat('dev'), 'function');
+});
+
+test('resolveFormat: compiles custom format strings', () => {
+  const line = resolveFormat(':method :url')(morgan, mockReq(), mockRes());
+  assert.equal(line, 'GET /items');
+});
+
+test('resolveFormat: does not treat token names as presets', () => {
+  const line = resolveFormat('url')(morgan, mockReq(), mockRes());
+  assert.equal(line, 'url');
+});
+
+test('resolveFormat: passes format functions through', () => {
+  const format = (tokens, req) => `custom ${tokens.method(req)}`;
+  assert.equal(resolveFormat(format), format);
+});
+
+test('resolveFormat: resolves json', () => {
+  const line = JSON.parse(resolveFormat('json', () => ({extra: true}))(morgan, mockReq(), mockRes()));
+  assert.equal(line.url, '/items');
+  assert.equal(line.extra, true);
+});
+
+test('resolveFormat: throws on empty format', () => {
+  assert.throws(
+    () => resolveFormat(''),
+    {message: 'accessLogMiddleware: format must be a non-empty string or a function'}
+  );
+});
+
+test('registerTokens: registers builtin tokens', () => {
+  registerTokens(builtinTokens);
+  const req = mockReq({
+    requestId: 'req-1',
+    correlationId: 'corr-1',
+    requestChain: ['a', 'req-1'],
+    fullUrl: 'https://example.com/items'
+  });
+  const line = resolveFormat(':request-id :correlation-id :request-chain :full-url')(morgan, req, mockRes());
+  assert.equal(line, 'req-1 corr-1 a,req-1 https://example.com/items');
+});
+
+test('registerTokens: missing builtin values are written as "-"', () => {
+  registerTokens(builtinTokens);
+  const line = resolveFormat(':request-id :request-chain')(morgan, mockReq(), mockRes());
+  assert.equal(line, '- -');
+});
+
+test('registerTokens: registers custom tokens with arguments', () => {
+  registerTokens({'locals': (_req, res, key) => res.locals?.[key]});
+  const line = resolveFormat(':locals[user]')(morgan, mockReq(), {...mockRes(), locals: {user: 'alice'}});
+  assert.equal(line, 'alice');
+});
+
+test('registerTokens: throws on invalid token definitions', () => {
+  assert.throws(() => registerTokens({'bad name': () => ''}), {message: 'accessLogMiddleware: invalid token name "bad name"'});
+  assert.throws(() => registerTokens({'no-fn': 'x'}), {message: 'accessLogMiddleware: token "no-fn" must be a function'});
+});
@@ -0,0 +1,161 @@
+import {after, before, beforeEach, test} from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {mkdtempSync, readFileSync, rmSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {accessLogMiddleware} from '../../dist/access-log/accessLogMiddleware.js';
+import {gracefulShutdownMiddleware} from '../../dist/graceful-shutdown/gracefulShutdownMiddleware.js';
+import {LogStream} from '../../dist/access-log/LogStream.js';
+import {runMiddlewares} from '../../dist/utils/runMiddlewares.js';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = mkdtempSync(join(tmpdir(), 'incomplete-log-test-'));
+});
+
+after(() => {
+  rmSync(tmpDir, {recursive: true, force: true});
+  LogStream.reset();
+});
+
+beforeEach(() => {
+  LogStream.reset();
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const startServer = async (middlewares, handler) => {
+  const server = http.createServer((req, res) => {
+    runMiddlewares(middlewares, req, res, () => handler(req, res));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {server, url: `http://127.0.0.1:${server.address().port}`};
+};
+
+const stopServer = async server => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+};
+
+const readLines = path => readFileSync(path, 'utf-8').split('\n').filter(Boolean);
+
+test('logIncomplete: logs requests aborted by the client with marker and elapsed time', async () => {
+  const logFile = join(tmpDir, 'aborted.log');
+  const accessLog = accessLogMiddleware({
+    output: 'file',
+    path: tmpDir,
+    filename: 'aborted.log',
+    format: ':method :url :status :response-time',
+    logIncomplete: true
+  });
+
+  const {server, url} = await startServer([accessLog], (req, res) => {
+    if (req.url === '/ok') res.end('ok');
+  });
+
+  try {
+    await (await fetch(`${url}/ok`)).text();
+    await assert.rejects(fetch(`${url}/hang`, {signal: AbortSignal.timeout(50)}));
+    await wait(50);
+  } finally {
+    await stopServer(server);
+  }
+
+  const lines = readLines(logFile);
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /^GET \/ok 200 \d+\.\d{3}$/);
+  assert.match(lines[1], /^GET \/hang aborted \d+\.\d{3}$/);
+  assert.ok(Number(lines[1].split(' ')[3]) >= 40);
+});
+
+test('logIncomplete: sampling never skips aborted requests', async () => {
+  const logFile = join(tmpDir, 'sampled.log');
+  const accessLog = accessLogMiddleware({
+    output: 'file',
+    path: tmpDir,
+    filename: 'sampled.log',
+    format: ':method :url :status',
+    sample: {rate: 0},
+    logIncomplete: true
+  });
+
+  const {server, url} = await startServer([accessLog], (req, res) => {
+    if (req.url === '/ok') res.end('ok');
+  });
+
+  try {
+    await (await fetch(`${url}/ok`)).text();
+    await assert.rejects(fetch(`${url}/hang`, {signal: AbortSignal.timeout(50)}));
+    await wait(50);
+  } finally {
+    await stopServer(server);
+  }
+
+  assert.deepEqual(readLines(logFile), ['GET /hang aborted']);
+});
+
+test('logIncomplete: logs requests pending on shutdown timeout, only once', async () => {
+  const logFile = join(tmpDir, 'shutdown.log');
+  const controller = new AbortController();
+  let drained = false;
+
+  const accessLog = accessLogMiddleware({
+    output: 'file',
+    path: tmpDir,
+    filename: 'shutdown.log',
+    format: 'json',
+    logIncomplete: true
+  });
+  const shutdown = gracefulShutdownMiddleware({
+    signal: controller.signal,
+    timeout: 30,
+    onDrain: () => drained = true
+  });
+
+  const {server, url} = await startServer([accessLog, shutdown], () => {
+    // never responds
+  });
+
+  const pending = fetch(`${url}/report?id=1`).catch(() => {});
+  try {
+    await wait(20);
+    controller.abort();
+    await wait(80);
+  } finally {
+    // closing the connection afterwards must not produce a second line
+    await stopServer(server);
+  }
+  await pending;
+  await wait(50);
+
+  assert.equal(drained, true);
+  const lines = readLines(logFile).map(line => JSON.parse(line));
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].url, '/report?id=1');
+  assert.equal(lines[0].status, 'shutdown-timeout');
+  assert.ok(lines[0].responseTime >= 30);
+});
+
+test('logIncomplete: aborted requests are logged with "-" status without the option', async () => {
+  const logFile = join(tmpDir, 'default.log');
+  const accessLog = accessLogMiddleware({
+    output: 'file',
+    path: tmpDir,
+    filename: 'default.log',
+    format: ':url :status'
+  });
+
+  const {server, url} = await startServer([accessLog], () => {
+  });
+
+  try {
+    await assert.rejects(fetch(`${url}/hang`, {signal: AbortSignal.timeout(30)}));
+    await wait(50);
+  } finally {
+    await stopServer(server);
+  }
+
+  assert.deepEqual(readLines(logFile), ['/hang -']);
+});
@@ -1,5 +1,23 @@
 import {describe, it} from 'node:test'
 import assert from 'node:assert/strict'
+import {createHash} from 'node:crypto'
+import {EventEmitter} from 'node:events'
+import {
+  createWriteStream,
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  utimesSync,
+  writeFileSync
+} from 'node:fs'
+import {tmpdir} from 'node:os'
+import {join} from 'node:path'
+import {Readable, Writable} from 'node:stream'
+import {pipeline} from 'node:stream/promises'
+import {brotliCompressSync, gzipSync} from 'node:zlib'
 
 import {
   LIMIT_100_MB,
@@ -15,8 +33,9 @@ import {
   LIMIT_80_MB,
   LIMIT_90_MB,
 } from '../../dist/body-parser/types/constants.js'
-import {bodyParserMiddleware} from "../../dist/body-parser/index.js";
+import {BodyParserError, bodyParserMiddleware, keepUploadedFile} from "../../dist/body-parser/index.js";
 import {withRawBody} from "../../dist/body-parser/utils/withRawBody.js";
+import {createInspectingStorage} from "../../dist/body-parser/utils/inspectFiles.js";
 import {runMiddlewares} from "../../dist/utils/runMiddlewares.js";
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -35,6 +54,50 @@ function runMw(mw, req, res = mockRes()) {
   })
 }
 
+function bodyReq(method, contentType, body) {
+  const req = Readable.from([Buffer.from(body)])
+  return Object.assign(req, {
+    method,
+    url: '/',
+    headers: {'content-type': contentType, 'content-length': String(Buffer.byteLength(body))}
+  })
+}
+
+function compressedReq(encoding, body, contentType = 'application/json') {
+  const req = Readable.from([body])
+  return Object.assign(req, {
+    method: 'POST',
+    url: '/',
+    headers: {'content-type': contentType, 'content-encoding': encoding, 'content-length': String(body.length)}
+  })
+}
+
+function multipartReq(files) {
+  const boundary = 'test-boundary'
+  const body = Buffer.concat([
+    ...files.flatMap(([field, filename, content, type = 'text/plain']) => [
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"; filename="${filename}"\r\n`),
+      Buffer.from(`Content-Type: ${type}\r\n\r\n`),
+      Buffer.from(content),
+      Buffer.from('\r\n')
+    ]),
+    Buffer.from(`--${boundary}--\r\n`)
+  ])
+  return bodyReq('POST', `multipart/form-data; boundary=${boundary}`, body)
+}
+
+function failingMulter(error) {
+  const factory = (_options) => ({
+    any: () => (_req, _res, next) => next(error)
+  })
+  factory.memoryStorage = () => ({})
+  return factory
+}
+
+function multerError(code, field) {
+  return Object.assign(new Error('File too large'), {name: 'MulterError', code, field})
+}
+
 function mockMulter(fakeFiles = []) {
   const factory = (_options) => ({
     any: () => (req, _res, next) => {
@@ -262,7 +325,7 @@ describe('multipartMiddleware – groupedFiles', () => {
       {fieldname: 'doc', originalname: 'c.pdf'},
     ]
 
-    const req = mockReq()
+    const req = mockReq({headers: {'content-type': 'multipart/form-data; boundary=x'}})
     const mw = bodyParserMiddleware({
       middleware: {
         multipart: {
@@ -279,7 +342,7 @@ describe('multipartMiddleware – groupedFiles', () => {
   })
 
   it('does not fill groupedFiles when req.files is not an array', async () => {
-    const req = mockReq()
+    const req = mockReq({headers: {'content-type': 'multipart/form-data; boundary=x'}})
     const mw = bodyParserMiddleware({
       middleware: {
         multipart: {
@@ -361,3 +424,642 @@ describe('multipartMiddleware – fileFilter', () => {
     assert.equal(err, null)
   })
 })
+
+// ─── content-type dispatch ────────────────────────────────────────────────────
+
+describe('bodyParser – content-type dispatch', () => {
+  it('parses json, urlencoded and text with the matching parser', async () => {
+    const mw = bodyParserMiddleware({middleware: {raw: {}}})
+
+    const json = bodyReq('POST', 'application/json; charset=utf-8', '{"a":1}')
+    await runMw(mw, json)
+    assert.deepEqual(json.body, {a: 1})
+
+    const form = bodyReq('PUT', 'application/x-www-form-urlencoded', 'a=1&b=2')
+    await runMw(mw, form)
+    assert.deepEqual({...form.body}, {a: '1', b: '2'})
+
+    const text = bodyReq('POST', 'text/plain', 'hello')
+    await runMw(mw, text)
+    assert.equal(text.body, 'hello')
+
+    const binary = bodyReq('POST', 'application/octet-stream', 'bytes')
+    await runMw(mw, binary)
+    assert.ok(Buffer.isBuffer(binary.body))
+  })
+
+  it('skips parsing for GET, HEAD and OPTIONS', async () => {
+    for (const method of ['GET', 'HEAD', 'OPTIONS']) {
+      const req = bodyReq(method, 'application/json', '{"a":1}')
+      const {err} = await runMw(bodyParserMiddleware(), req)
+      assert.equal(err, null)
+      assert.equal(req.body, undefined)
+      assert.deepEqual(req.groupedFiles, {})
+    }
+  })
+
+  it('matches wildcard and suffix types', async () => {
+    const mw = bodyParserMiddleware({middleware: {json: {type: ['application/*+json', 'text/*']}}})
+
+    const req = bodyReq('POST', 'application/vnd.api+json', '{"data":[]}')
+    await runMw(mw, req)
+    assert.deepEqual(req.body, {data: []})
+
+    const csv = bodyReq('POST', 'text/csv', '{"csv":false}')
+    await runMw(mw, csv)
+    assert.deepEqual(csv.body, {csv: false})
+  })
+
+  it('accepts the type-is shorthands', async () => {
+    const mw = bodyParserMiddleware({middleware: {json: {type: ['json', '+json']}, urlencoded: {type: 'urlencoded'}}})
+
+    const req = bodyReq('POST', 'application/json', '{"a":1}')
+    await runMw(mw, req)
+    assert.deepEqual(req.body, {a: 1})
+
+    const suffix = bodyReq('POST', 'application/vnd.api+json', '{"data":[]}')
+    await runMw(mw, suffix)
+    assert.deepEqual(suffix.body, {data: []})
+
+    const form = bodyReq('POST', 'application/x-www-form-urlencoded', 'a=1')
+    await runMw(mw, form)
+    assert.deepEqual({...form.body}, {a: '1'})
+
+    const text = bodyReq('POST', 'text/plain', 'hi')
+    await runMw(bodyParserMiddleware({middleware: {raw: {type: 'text'}}}), text)
+    assert.equal(text.body.toString(), 'hi')
+  })
+
+  it('selects a single parser in fixed order when types overlap', async () => {
+    const req = bodyReq('POST', 'text/plain', '{"a":1}')
+    await runMw(bodyParserMiddleware({middleware: {json: {type: '*/*'}, raw: {}}}), req)
+    assert.deepEqual(req.body, {a: 1})
+  })
+
+  it('fallback: "ignore" leaves the body of unknown types untouched', async () => {
+    const req = bodyReq('POST', 'application/xml', '<a/>')
+    const {err} = await runMw(bodyParserMiddleware(), req)
+    assert.equal(err, null)
+    assert.equal(req.body, undefined)
+  })
+
+  it('fallback: "reject" passes a 415 error for unknown types', async () => {
+    const mw = bodyParserMiddleware({fallback: 'reject'})
+
+    const {err} = await runMw(mw, bodyReq('POST', 'Application/XML; charset=utf-8', '<a/>'))
+    assert.ok(err instanceof BodyParserError)
+    assert.equal(err.status, 415)
+    assert.equal(err.code, 'UNSUPPORTED_MEDIA_TYPE')
+    assert.equal(err.message, 'Unsupported content type "application/xml"')
+
+    const withoutType = await runMw(mw, mockReq({method: 'POST'}))
+    assert.equal(withoutType.err, null)
+  })
+
+  it('fallback: request handler handles unknown types', async () => {
+    const mw = bodyParserMiddleware({
+      fallback: (req, _res, next) => {
+        req.body = 'custom'
+        next()
+      }
+    })
+
+    const req = bodyReq('POST', 'application/xml', '<a/>')
+    await runMw(mw, req)
+    assert.equal(req.body, 'custom')
+  })
+
+  it('throws on invalid type and fallback options', () => {
+    assert.throws(
+      () => bodyParserMiddleware({middleware: {json: {type: 'yaml'}}}),
+      /type "yaml" must be a media type/
+    )
+    assert.throws(
+      () => bodyParserMiddleware({fallback: 'drop'}),
+      /fallback must be "ignore", "reject" or a request handler/
+    )
+  })
+})
+
+// ─── routes ───────────────────────────────────────────────────────────────────
+
+describe('bodyParser – routes', () => {
+  const withUrl = (req, url) => Object.assign(req, {url, originalUrl: url})
+
+  it('applies route limits only to matching paths', async () => {
+    const mw = bodyParserMiddleware({
+      jsonLimit: 10,
+      routes: [{path: '/import', jsonLimit: LIMIT_1_MB}]
+    })
+    const body = JSON.stringify({items: [1, 2, 3, 4, 5]})
+
+    const imported = withUrl(bodyReq('POST', 'application/json', body), '/import/orders?dry=1')
+    assert.equal((await runMw(mw, imported)).err, null)
+    assert.deepEqual(imported.body, {items: [1, 2, 3, 4, 5]})
+
+    const other = withUrl(bodyReq('POST', 'application/json', body), '/importer')
+    assert.equal((await runMw(mw, other)).err.code, 'BODY_TOO_LARGE')
+  })
+
+  it('matches methods and RegExp paths, the first matching route wins', async () => {
+    const mw = bodyParserMiddleware({
+      routes: [
+        {path: /^\/webhooks\/[a-z]+$/, method: 'post', rawBody: true},
+        {path: '/webhooks', middleware: {json: false}}
+      ]
+    })
+
+    const post = withUrl(bodyReq('POST', 'application/json', '{"event":"paid"}'), '/webhooks/stripe')
+    await runMw(mw, post)
+    assert.deepEqual(post.body, {event: 'paid'})
+    assert.equal(post.rawBody.toString(), '{"event":"paid"}')
+
+    const put = withUrl(bodyReq('PUT', 'application/json', '{"event":"paid"}'), '/webhooks/stripe')
+    await runMw(mw, put)
+    assert.equal(put.body, undefined)
+    assert.equal(put.rawBody, undefined)
+  })
+
+  it('keeps global parser options not overridden by the route', async () => {
+    const mw = bodyParserMiddleware({
+      middleware: {multipart: {multer: mockMulter([{fieldname: 'file', originalname: 'a.zip'}])}},
+      routes: [{path: '/upload', multipartLimit: LIMIT_100_MB}]
+    })
+
+    const req = withUrl(mockReq({method: 'POST', headers: {'content-type': 'multipart/form-data; boundary=x'}}), '/upload')
+    await runMw(mw, req)
+    assert.equal(req.groupedFiles['file'].length, 1)
+  })
+
+  it('throws on invalid routes', () => {
+    assert.throws(() => bodyParserMiddleware({routes: {}}), /routes must be an array/)
+    assert.throws(
+      () => bodyParserMiddleware({routes: [{path: 'upload'}]}),
+      /routes\[0\]\.path must be a path starting with "\/" or a RegExp/
+    )
+    assert.throws(
+      () => bodyParserMiddleware({routes: [{path: '/upload', method: ['POST', '']}]}),
+      /routes\[0\]\.method must be an HTTP method/
+    )
+  })
+})
+
+// ─── errors ───────────────────────────────────────────────────────────────────
+
+describe('bodyParser – errors', () => {
+  it('malformed JSON – 400 MALFORMED_BODY', async () => {
+    const {err} = await runMw(bodyParserMiddleware(), bodyReq('POST', 'application/json', '{"a":'))
+    assert.ok(err instanceof BodyParserError)
+    assert.equal(err.status, 400)
+    assert.equal(err.statusCode, 400)
+    assert.equal(err.code, 'MALFORMED_BODY')
+    assert.equal(err.cause.type, 'entity.parse.failed')
+  })
+
+  it('body above the limit – 413 BODY_TOO_LARGE with limit', async () => {
+    const {err} = await runMw(bodyParserMiddleware({jsonLimit: 5}), bodyReq('POST', 'application/json', '{"a":12345}'))
+    assert.equal(err.status, 413)
+    assert.equal(err.code, 'BODY_TOO_LARGE')
+    assert.equal(err.limit, 5)
+  })
+
+  it('unsupported charset – 415 UNSUPPORTED_CHARSET', async () => {
+    const {err} = await runMw(bodyParserMiddleware(), bodyReq('POST', 'application/json; charset=latin1', '{}'))
+    assert.equal(err.status, 415)
+    assert.equal(err.code, 'UNSUPPORTED_CHARSET')
+  })
+
+  it('multer limit errors – 413 with field and configured limit', async () => {
+    const mw = bodyParserMiddleware({
+      multipartLimit: LIMIT_1_MB,
+      middleware: {multipart: {multer: failingMulter(multerError('LIMIT_FILE_SIZE', 'avatar'))}}
+    })
+
+    const {err} = await runMw(mw, mockReq({method: 'POST', headers: {'content-type': 'multipart/form-data; boundary=x'}}))
+    assert.equal(err.status, 413)
+    assert.equal(err.code, 'LIMIT_FILE_SIZE')
+    assert.equal(err.field, 'avatar')
+    assert.equal(err.limit, LIMIT_1_MB)
+  })
+
+  it('other multer and busboy errors – 400', async () => {
+    const multipartReq = () => mockReq({method: 'POST', headers: {'content-type': 'multipart/form-data; boundary=x'}})
+
+    const unexpected = bodyParserMiddleware({
+      middleware: {multipart: {multer: failingMulter(multerError('LIMIT_UNEXPECTED_FILE', 'doc'))}}
+    })
+    const {err} = await runMw(unexpected, multipartReq())
+    assert.equal(err.status, 400)
+    assert.equal(err.code, 'LIMIT_UNEXPECTED_FILE')
+    assert.equal(err.limit, undefined)
+
+    const malformed = bodyParserMiddleware({
+      middleware: {multipart: {multer: failingMulter(new Error('Unexpected end of form'))}}
+    })
+    assert.equal((await runMw(malformed, multipartReq())).err.code, 'MALFORMED_BODY')
+  })
+
+  it('passes other errors on unchanged', async () => {
+    const storageError = Object.assign(new Error('ENOSPC: no space left on device'), {code: 'ENOSPC'})
+    const mw = bodyParserMiddleware({middleware: {multipart: {multer: failingMulter(storageError)}}})
+
+    const {err} = await runMw(mw, mockReq({method: 'POST', headers: {'content-type': 'multipart/form-data; boundary=x'}}))
+    assert.equal(err, storageError)
+  })
+
+  it('onError renders problem+json', async () => {
+    let sent = null
+    const res = {
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      type(value) {
+        this.contentType = value
+        return this
+      },
+      json(body) {
+        sent = body
+      }
+    }
+    const mw = bodyParserMiddleware({
+      onError: (err, _req, res) => res.status(err.status).type('application/problem+json').json(err.toProblemDetails())
+    })
+
+    const req = bodyReq('POST', 'application/json', '{"a":')
+    let nextCalled = false
+    mw(req, res, () => nextCalled = true)
+    await new Promise(resolve => setTimeout(resolve, 20))
+
+    assert.equal(nextCalled, false)
+    assert.equal(res.statusCode, 400)
+    assert.equal(res.contentType, 'application/problem+json')
+    assert.equal(sent.type, 'about:blank')
+    assert.equal(sent.title, 'Bad Request')
+    assert.equal(sent.status, 400)
+    assert.equal(sent.code, 'MALFORMED_BODY')
+    assert.equal(typeof sent.detail, 'string')
+  })
+
+  it('throws when onError is not a function', () => {
+    assert.throws(() => bodyParserMiddleware({onError: 'json'}), /onError must be a function/)
+  })
+})
+
+// ─── compressed bodies ────────────────────────────────────────────────────────
+
+describe('bodyParser – encoding', () => {
+  // ~4 MB of JSON that gzips to a few KB
+  const bomb = gzipSync(JSON.stringify({a: 'a'.repeat(4 * 1024 * 1024)}))
+
+  it('inflates gzip and br bodies by default', async () => {
+    const gzip = compressedReq('gzip', gzipSync('{"a":1}'))
+    await runMw(bodyParserMiddleware(), gzip)
+    assert.deepEqual(gzip.body, {a: 1})
+
+    const br = compressedReq('br', brotliCompressSync('{"b":2}'))
+    await runMw(bodyParserMiddleware({encoding: {maxRatio: 50}}), br)
+    assert.deepEqual(br.body, {b: 2})
+  })
+
+  it('rejects encodings not allowed with 415 before reading the body', async () => {
+    const req = compressedReq('gzip', gzipSync('{"a":1}'))
+    const {err} = await runMw(bodyParserMiddleware({encoding: {allowed: ['identity']}}), req)
+
+    assert.equal(err.status, 415)
+    assert.equal(err.code, 'UNSUPPORTED_ENCODING')
+    assert.equal(err.message, 'Unsupported content encoding "gzip"')
+    assert.equal(req.readableFlowing, null)
+  })
+
+  it('aborts inflating once maxRatio is exceeded', async () => {
+    const {err} = await runMw(bodyParserMiddleware({encoding: {maxRatio: 100}}), compressedReq('gzip', bomb))
+
+    assert.ok(err instanceof BodyParserError)
+    assert.equal(err.status, 413)
+    assert.equal(err.code, 'COMPRESSION_RATIO_EXCEEDED')
+    assert.equal(err.limit, 100)
+  })
+
+  it('aborts inflating once maxInflatedSize is exceeded', async () => {
+    const {err} = await runMw(
+      bodyParserMiddleware({middleware: {raw: {limit: LIMIT_10_MB}}, encoding: {maxInflatedSize: LIMIT_1_MB}}),
+      compressedReq('gzip', bomb, 'application/octet-stream')
+    )
+
+    assert.equal(err.status, 413)
+    assert.equal(err.code, 'BODY_TOO_LARGE')
+    assert.equal(err.limit, LIMIT_1_MB)
+  })
+
+  it('throws on invalid encoding options', () => {
+    assert.throws(
+      () => bodyParserMiddleware({encoding: {allowed: ['gzip', 'zstd']}}),
+      /encoding\.allowed must only contain "identity", "gzip", "deflate", "br"/
+    )
+    assert.throws(() => bodyParserMiddleware({encoding: {maxInflatedSize: 0}}), /maxInflatedSize must be an integer > 0/)
+    assert.throws(() => bodyParserMiddleware({encoding: {maxRatio: 0.5}}), /maxRatio must be a number >= 1/)
+  })
+})
+
+// ─── multipart disk mode ──────────────────────────────────────────────────────
+
+describe('multipartMiddleware – disk', async () => {
+  const {default: multer} = await import('multer')
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+  const withTempDir = async (fn) => {
+    const directory = mkdtempSync(join(tmpdir(), 'body-parser-disk-test-'))
+    try {
+      await fn(directory)
+    } finally {
+      rmSync(directory, {recursive: true, force: true})
+    }
+  }
+
+  it('writes uploads to the directory and removes them when the response closes', () => withTempDir(async (directory) => {
+    const mw = bodyParserMiddleware({middleware: {multipart: {multer, disk: {directory}}}})
+    const req = multipartReq([['doc', 'a.txt', 'hello'], ['doc', 'b.txt', 'world']])
+    const res = new EventEmitter()
+
+    const {err} = await runMw(mw, req, res)
+    assert.equal(err, null)
+    assert.equal(req.groupedFiles.doc.length, 2)
+    assert.ok(req.files.every(file => file.destination === directory && existsSync(file.path)))
+
+    res.emit('close')
+    await wait(20)
+    assert.deepEqual(readdirSync(directory), [])
+  }))
+
+  it('keeps files marked with keepUploadedFile', () => withTempDir(async (directory) => {
+    const mw = bodyParserMiddleware({middleware: {multipart: {multer, disk: {directory}}}})
+    const req = multipartReq([['doc', 'a.txt', 'hello'], ['doc', 'b.txt', 'world']])
+    const res = new EventEmitter()
+
+    await runMw(mw, req, res)
+    keepUploadedFile(req.groupedFiles.doc[1])
+    res.emit('close')
+    await wait(20)
+
+    assert.deepEqual(readdirSync(directory), [req.files[1].filename])
+  }))
+
+  it('removes files older than orphanMaxAge at startup', () => withTempDir(async (directory) => {
+    const old = new Date(Date.now() - 2 * 3_600_000)
+    writeFileSync(join(directory, 'orphan'), 'x')
+    utimesSync(join(directory, 'orphan'), old, old)
+    writeFileSync(join(directory, 'recent'), 'x')
+    mkdirSync(join(directory, 'nested'))
+
+    bodyParserMiddleware({middleware: {multipart: {multer, disk: {directory}}}})
+    await wait(20)
+
+    assert.deepEqual(readdirSync(directory).sort(), ['nested', 'recent'])
+  }))
+
+  it('sweeps a directory only once for all parsers using it', () => withTempDir(async (directory) => {
+    const old = new Date(Date.now() - 2 * 3_600_000)
+    bodyParserMiddleware({middleware: {multipart: {multer, disk: {directory}}}})
+    await wait(20)
+
+    writeFileSync(join(directory, 'in-use'), 'x')
+    utimesSync(join(directory, 'in-use'), old, old)
+    bodyParserMiddleware({middleware: {multipart: {multer, disk: {directory: `${directory}/`}}}})
+    await wait(20)
+
+    assert.deepEqual(readdirSync(directory), ['in-use'])
+  }))
+
+  it('throws on conflicting or invalid disk options', () => {
+    assert.throws(
+      () => bodyParserMiddleware({middleware: {multipart: {multer, disk: true, storage: multer.memoryStorage()}}}),
+      /Cannot set both "multipart.storage" and "multipart.disk"/
+    )
+    assert.throws(
+      () => bodyParserMiddleware({middleware: {multipart: {multer, disk: {orphanMaxAge: -1}}}}),
+      /multipart\.disk\.orphanMaxAge must be an integer >= 0/
+    )
+  })
+})
+
+// ─── multipart field rules ────────────────────────────────────────────────────
+
+describe('multipartMiddleware – field rules', async () => {
+  const {default: multer} = await import('multer')
+  const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64)])
+  const exe = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(64)])
+
+  const upload = (fields, files) => {
+    const req = multipartReq(files)
+    return runMw(bodyParserMiddleware({middleware: {multipart: {multer, fields}}}), req).then(({err}) => ({err, req}))
+  }
+
+  it('sets the type detected from the content on every file', async () => {
+    const {err, req} = await upload(undefined, [
+      ['avatar', 'a.png', png, 'image/png'],
+      ['doc', 'notes.txt', 'hello'],
+      ['blob', 'data.bin', Buffer.from([0x00, 0x01, 0x02])]
+    ])
+
+    assert.equal(err, null)
+    assert.equal(req.groupedFiles.avatar[0].detectedType, 'image/png')
+    assert.equal(req.groupedFiles.doc[0].detectedType, 'text/plain')
+    assert.equal(req.groupedFiles.blob[0].detectedType, null)
+  })
+
+  it('rejects a file whose content does not match the allowed types', async () => {
+    const {err} = await upload({avatar: {types: ['image/*']}}, [['avatar', 'avatar.png', exe, 'image/png']])
+
+    assert.ok(err instanceof BodyParserError)
+    assert.equal(err.status, 415)
+    assert.equal(err.code, 'UNSUPPORTED_FILE_TYPE')
+    assert.equal(err.field, 'avatar')
+    assert.equal(err.message, 'Detected file type "application/x-msdownload" of "avatar.png" is not allowed in field "avatar"')
+  })
+
+  it('rejects extensions not allowed', async () => {
+    const {err} = await upload({avatar: {extensions: ['png', '.JPG']}}, [['avatar', 'avatar.gif', png]])
+    assert.equal(err.code, 'UNSUPPORTED_FILE_TYPE')
+    assert.equal(err.message, 'File extension of "avatar.gif" is not allowed in field "avatar"')
+
+    const {err: accepted} = await upload({avatar: {extensions: ['png', '.JPG']}}, [['avatar', 'AVATAR.jpg', png]])
+    assert.equal(accepted, null)
+  })
+
+  it('limits the number and size of files per field', async () => {
+    const tooMany = await upload({doc: {maxCount: 1}}, [['doc', 'a.txt', 'a'], ['doc', 'b.txt', 'b'], ['other', 'c.txt', 'c']])
+    assert.equal(tooMany.err.status, 413)
+    assert.equal(tooMany.err.code, 'LIMIT_FILE_COUNT')
+    assert.equal(tooMany.err.limit, 1)
+    assert.equal(tooMany.err.field, 'doc')
+
+    const tooLarge = await upload({doc: {maxSize: 10}}, [['other', 'a.txt', 'a'.repeat(100)], ['doc', 'b.txt', 'b'.repeat(11)]])
+    assert.equal(tooLarge.err.status, 413)
+    assert.equal(tooLarge.err.code, 'LIMIT_FILE_SIZE')
+    assert.equal(tooLarge.err.limit, 10)
+    assert.equal(tooLarge.err.field, 'doc')
+  })
+
+  it('removes rejected files from disk', async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'body-parser-fields-test-'))
+    try {
+      const req = multipartReq([['doc', 'a.txt', 'fine'], ['doc', 'b.txt', 'x'.repeat(100)]])
+      const mw = bodyParserMiddleware({middleware: {multipart: {multer, disk: {directory}, fields: {doc: {maxSize: 10}}}}})
+      const {err} = await runMw(mw, req, new EventEmitter())
+
+      assert.equal(err.code, 'LIMIT_FILE_SIZE')
+      assert.deepEqual(readdirSync(directory), [])
+    } finally {
+      rmSync(directory, {recursive: true, force: true})
+    }
+  })
+
+  it('detects the type when the signature is split across chunks', async () => {
+    const storage = createInspectingStorage(multer.memoryStorage(), {fields: {avatar: {types: ['image/png']}}})
+    const handle = (fieldname, chunks) => new Promise(resolve => {
+      const file = {fieldname, originalname: 'upload', stream: Readable.from(chunks)}
+      storage._handleFile({}, file, (err, info) => resolve({err, info}))
+    })
+
+    const {err, info} = await handle('avatar', [png.subarray(0, 3), png.subarray(3, 5), png.subarray(5)])
+    assert.equal(err, null)
+    assert.equal(info.detectedType, 'image/png')
+    assert.deepEqual(info.buffer, png)
+
+    const split = await handle('doc', [exe.subarray(0, 1), exe.subarray(1)])
+    assert.equal(split.info.detectedType, 'application/x-msdownload')
+
+    const short = await handle('doc', [Buffer.from('h'), Buffer.from('i')])
+    assert.equal(short.info.detectedType, 'text/plain')
+    assert.equal(short.info.buffer.toString(), 'hi')
+  })
+
+  it('throws on invalid field rules', () => {
+    const create = fields => () => bodyParserMiddleware({middleware: {multipart: {multer, fields}}})
+    assert.throws(create([]), /multipart\.fields must be an object of field rules/)
+    assert.throws(create({doc: {maxSize: 0}}), /multipart\.fields\.doc\.maxSize must be an integer > 0/)
+    assert.throws(create({doc: {types: 'image/png'}}), /multipart\.fields\.doc\.types must be an array of non-empty strings/)
+    assert.throws(create({doc: {types: ['png']}}), /type "png" must be a media type/)
+  })
+})
+
+// ─── multipart digest and sink ────────────────────────────────────────────────
+
+describe('multipartMiddleware – digest and sink', async () => {
+  const {default: multer} = await import('multer')
+  const sha256 = content => createHash('sha256').update(content).digest('hex')
+
+  // object store stand-in keeping the chunks per key
+  const objectStore = () => {
+    const objects = new Map()
+    const removed = []
+    let written = 0
+    const sink = {
+      write: async (stream, file) => {
+        const key = `${file.fieldname}/${written++}`
+        const chunks = []
+        await pipeline(stream, new Writable({
+          write(chunk, _encoding, callback) {
+            chunks.push(chunk)
+            callback()
+          }
+        }))
+        objects.set(key, Buffer.concat(chunks).toString())
+        return {key}
+      },
+      remove: file => {
+        removed.push(file.key)
+        objects.delete(file.key)
+      }
+    }
+    return {objects, removed, sink}
+  }
+
+  it('computes the digest while the file streams in', async () => {
+    const req = multipartReq([['doc', 'a.txt', 'hello'], ['doc', 'b.txt', 'world']])
+    const {err} = await runMw(bodyParserMiddleware({middleware: {multipart: {multer, digest: 'sha256'}}}), req)
+
+    assert.equal(err, null)
+    assert.deepEqual(req.groupedFiles.doc.map(file => file.digest), [sha256('hello'), sha256('world')])
+    assert.equal(req.groupedFiles.doc[0].buffer.toString(), 'hello')
+
+    const md5Req = multipartReq([['doc', 'a.txt', 'hello']])
+    await runMw(bodyParserMiddleware({middleware: {multipart: {multer, digest: 'md5'}}}), md5Req)
+    assert.equal(md5Req.files[0].digest, createHash('md5').update('hello').digest('hex'))
+  })
+
+  it('streams files to the sink and adds its result to the file', async () => {
+    const {objects, sink} = objectStore()
+    const req = multipartReq([['doc', 'a.txt', 'hello'], ['avatar', 'b.txt', 'world']])
+    const {err} = await runMw(bodyParserMiddleware({middleware: {multipart: {multer, sink, digest: 'sha256'}}}), req)
+
+    assert.equal(err, null)
+    assert.deepEqual(Object.fromEntries(objects), {'doc/0': 'hello', 'avatar/1': 'world'})
+
+    const [file] = req.groupedFiles.doc
+    assert.equal(file.key, 'doc/0')
+    assert.equal(file.size, 5)
+    assert.equal(file.digest, sha256('hello'))
+    assert.equal(file.detectedType, 'text/plain')
+    assert.equal(file.buffer, undefined)
+  })
+
+  it('removes written files from the sink when the upload fails', async () => {
+    const {objects, removed, sink} = objectStore()
+    const req = multipartReq([['doc', 'a.txt', 'hello'], ['doc', 'b.txt', 'x'.repeat(100)]])
+    const mw = bodyParserMiddleware({middleware: {multipart: {multer, sink, fields: {doc: {maxSize: 10}}}}})
+    const {err} = await runMw(mw, req)
+
+    assert.equal(err.code, 'LIMIT_FILE_SIZE')
+    assert.deepEqual(removed.sort(), ['doc/0', 'doc/1'])
+    assert.equal(objects.size, 0)
+  })
+
+  it('waits for the end of the file when the sink returns before consuming it', async () => {
+    const content = Buffer.alloc(2 * 1024 * 1024, 'x')
+    const directory = mkdtempSync(join(tmpdir(), 'body-parser-sink-test-'))
+    const multipart = sink => ({middleware: {multipart: {multer, sink, digest: 'sha256'}}})
+
+    try {
+      const ignored = multipartReq([['doc', 'a.txt', content]])
+      const ignoredResult = await runMw(bodyParserMiddleware(multipart({write: (_stream, file) => ({key: file.originalname})})), ignored)
+      assert.equal(ignoredResult.err, null)
+      assert.equal(ignored.files[0].key, 'a.txt')
+      assert.equal(ignored.files[0].size, content.length)
+      assert.equal(ignored.files[0].digest, sha256(content))
+
+      const target = join(directory, 'b.txt')
+      const piped = multipartReq([['doc', 'b.txt', content]])
+      const pipedResult = await runMw(bodyParserMiddleware(multipart({
+        write: stream => {
+          stream.pipe(createWriteStream(target))
+          return {path: target}
+        }
+      })), piped)
+      assert.equal(pipedResult.err, null)
+      assert.equal(piped.files[0].size, content.length)
+      assert.equal(piped.files[0].digest, sha256(content))
+
+      await new Promise(resolve => setTimeout(resolve, 20))
+      assert.equal(readFileSync(target).length, content.length)
+    } finally {
+      rmSync(directory, {recursive: true, force: true})
+    }
+  })
+
+  it('passes sink errors on unchanged', async () => {
+    const failure = new Error('bucket unavailable')
+    const sink = {write: () => Promise.reject(failure)}
+    const {err} = await runMw(bodyParserMiddleware({middleware: {multipart: {multer, sink}}}), multipartReq([['doc', 'a.txt', 'hello']]))
+
+    assert.equal(err, failure)
+  })
+
+  it('throws on invalid digest or sink options', () => {
+    const create = multipart => () => bodyParserMiddleware({middleware: {multipart: {multer, ...multipart}}})
+    assert.throws(create({digest: 'crc32x'}), /multipart\.digest "crc32x" is not a supported hash algorithm/)
+    assert.throws(create({sink: {}}), /multipart\.sink\.write must be a function/)
+    assert.throws(create({sink: {write: () => {}}, disk: true}), /Cannot set both "multipart.disk" and "multipart.sink"/)
+  })
+})
@@ -0,0 +1,173 @@
+import {describe, it} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {BodyParserError, validateBody} from '../../dist/body-parser/index.js'
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockReq(body, contentType = 'application/json') {
+  return {headers: {'content-type': contentType}, body}
+}
+
+function mockRes() {
+  return {
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    type(value) {
+      this.contentType = value
+      return this
+    },
+    json(body) {
+      this.body = body
+      return this
+    }
+  }
+}
+
+function run(mw, req, res = mockRes()) {
+  let nextCalled = false
+  mw(req, res, () => nextCalled = true)
+  return {nextCalled, res}
+}
+
+const orderSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object',
+  properties: {
+    sku: {type: 'string', pattern: '^[A-Z]{3}-\\d+$'},
+    quantity: {type: 'integer', minimum: 1, maximum: 100},
+    priority: {enum: ['low', 'high']},
+    gift: {type: 'boolean'},
+    note: {type: ['string', 'null'], maxLength: 5},
+    tags: {type: 'array', items: {type: 'string', minLength: 2}, maxItems: 3},
+    address: {
+      type: 'object',
+      properties: {'zip/code': {type: 'string', minLength: 5}},
+      required: ['city']
+    }
+  },
+  required: ['sku', 'quantity'],
+  additionalProperties: false
+}
+
+// ─── validateBody ─────────────────────────────────────────────────────────────
+
+describe('validateBody', () => {
+  it('calls next() for a valid body', () => {
+    const body = {sku: 'ABC-1', quantity: 2, priority: 'high', note: null, tags: ['xl'], address: {city: 'Bonn'}}
+    const req = mockReq(body)
+    const {nextCalled} = run(validateBody(orderSchema), req)
+
+    assert.equal(nextCalled, true)
+    assert.equal(req.body, body)
+  })
+
+  it('responds 400 problem+json listing the JSON Pointer paths that failed', () => {
+    const {nextCalled, res} = run(validateBody(orderSchema), mockReq({
+      sku: 'abc',
+      quantity: 1.5,
+      priority: 'urgent',
+      note: 'too long',
+      tags: ['a', 'ok', 'b', 'c'],
+      address: {'zip/code': '123'},
+      coupon: 'FREE'
+    }))
+
+    assert.equal(nextCalled, false)
+    assert.equal(res.statusCode, 400)
+    assert.equal(res.contentType, 'application/problem+json')
+    assert.equal(res.body.code, 'INVALID_BODY')
+    assert.deepEqual(res.body.errors.map(({path, keyword}) => [path, keyword]), [
+      ['/sku', 'pattern'],
+      ['/quantity', 'type'],
+      ['/priority', 'enum'],
+      ['/note', 'maxLength'],
+      ['/tags', 'maxItems'],
+      ['/tags/0', 'minLength'],
+      ['/tags/2', 'minLength'],
+      ['/tags/3', 'minLength'],
+      ['/address/city', 'required'],
+      ['/address/zip~1code', 'minLength'],
+      ['/coupon', 'additionalProperties'],
+    ])
+  })
+
+  it('reports missing required properties and a missing body', () => {
+    const {res} = run(validateBody(orderSchema), mockReq({}))
+    assert.deepEqual(res.body.errors, [
+      {path: '/sku', keyword: 'required', message: 'is required'},
+      {path: '/quantity', keyword: 'required', message: 'is required'},
+    ])
+
+    const missing = run(validateBody(orderSchema), mockReq(undefined))
+    assert.deepEqual(missing.res.body.errors, [{path: '', keyword: 'type', message: 'must be object'}])
+  })
+
+  it('converts urlencoded and multipart field values to the schema types', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        quantity: {type: 'integer', minimum: 1},
+        price: {type: 'number'},
+        gift: {type: 'boolean'},
+        note: {type: ['null', 'integer']},
+        tags: {type: 'array', items: {type: 'string'}}
+      }
+    }
+
+    const form = mockReq({quantity: '3', price: '9.5', gift: 'true', note: '', tags: 'red'}, 'application/x-www-form-urlencoded')
+    assert.equal(run(validateBody(schema), form).nextCalled, true)
+    assert.deepEqual(form.body, {quantity: 3, price: 9.5, gift: true, note: null, tags: ['red']})
+
+    const multipart = mockReq({quantity: 'three'}, 'multipart/form-data; boundary=x')
+    const {res} = run(validateBody(schema), multipart)
+    assert.deepEqual(res.body.errors, [{path: '/quantity', keyword: 'type', message: 'must be integer'}])
+
+    // JSON bodies are validated as they are
+    const json = mockReq({quantity: '3'})
+    assert.equal(run(validateBody(schema), json).nextCalled, false)
+  })
+
+  it('supports const, exclusive limits and boolean schemas', () => {
+    const mw = validateBody({
+      type: 'object',
+      properties: {
+        version: {const: 2},
+        ratio: {exclusiveMinimum: 0, exclusiveMaximum: 1},
+        internal: false,
+        meta: true
+      }
+    })
+
+    assert.equal(run(mw, mockReq({version: 2, ratio: 0.5, meta: {any: 1}})).nextCalled, true)
+    assert.deepEqual(
+      run(mw, mockReq({version: 3, ratio: 1, internal: 'x'})).res.body.errors.map(({path, keyword}) => [path, keyword]),
+      [['/version', 'const'], ['/ratio', 'exclusiveMaximum'], ['/internal', 'false']]
+    )
+  })
+
+  it('passes the BodyParserError to onError', () => {
+    let error = null
+    const mw = validateBody({type: 'object', required: ['id']}, {onError: (err, _req, _res, next) => next(error = err)})
+
+    run(mw, mockReq({}))
+    assert.ok(error instanceof BodyParserError)
+    assert.equal(error.status, 400)
+    assert.deepEqual(error.errors, [{path: '/id', keyword: 'required', message: 'is required'}])
+  })
+
+  it('throws for invalid or unsupported schemas at startup', () => {
+    assert.throws(
+      () => validateBody({type: 'object', properties: {a: {oneOf: []}}}),
+      {message: 'validateBody: unsupported keyword "oneOf" at #/properties/a'}
+    )
+    assert.throws(() => validateBody({type: 'text'}), {message: 'validateBody: unknown type "text" at #'})
+    assert.throws(() => validateBody({pattern: '('}), {message: 'validateBody: invalid pattern "(" at #'})
+    assert.throws(() => validateBody({minLength: '1'}), {message: 'validateBody: "minLength" must be a number at #'})
+    assert.throws(() => validateBody({required: 'id'}), {message: 'validateBody: "required" must be an array of strings at #'})
+    assert.throws(() => validateBody(null), {message: 'validateBody: schema must be an object or a boolean at #'})
+    assert.throws(() => validateBody({}, {onError: 'json'}), {message: 'validateBody: onError must be a function'})
+  })
+})
@@ -0,0 +1,176 @@
+import {after, before, beforeEach, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdtempSync, readdirSync, readFileSync, rmSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {errorLogMiddleware} from '../../dist/error-log/errorLogMiddleware.js';
+import {serializeError} from '../../dist/error-log/serializeError.js';
+import {LogStream} from '../../dist/access-log/LogStream.js';
+
+let tmpDir;
+
+const mockReq = {
+  method: 'POST',
+  originalUrl: '/orders?id=1',
+  url: '/orders?id=1',
+  fullUrl: 'https://shop.example/orders?id=1',
+  requestId: 'req-1',
+  correlationId: 'corr-1',
+  headers: {}
+};
+const mockRes = {statusCode: 200};
+
+before(() => {
+  tmpDir = mkdtempSync(join(tmpdir(), 'error-log-middleware-test-'));
+});
+
+after(() => {
+  rmSync(tmpDir, {recursive: true, force: true});
+  LogStream.reset();
+});
+
+beforeEach(() => {
+  LogStream.reset();
+});
+
+/**
+ * Runs the handler with stdout captured, resolves with the captured output and the error passed to next.
+ */
+const runWithStdout = async (middleware, err, req = mockReq, res = mockRes) => {
+  let output = '';
+  const originalWrite = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk) => {
+    output += chunk;
+    return true;
+  };
+
+  try {
+    const passed = await new Promise(resolve => middleware(err, req, res, resolve));
+    return {output, passed};
+  } finally {
+    process.stdout.write = originalWrite;
+  }
+};
+
+test('errorLogMiddleware: writes a JSON entry and passes the error on', async () => {
+  const err = Object.assign(new Error('payment failed'), {status: 502, code: 'E_GATEWAY'});
+  const {output, passed} = await runWithStdout(errorLogMiddleware({output: 'stdout'}), err);
+
+  assert.equal(passed, err);
+  assert.ok(output.endsWith('\n'));
+
+  const entry = JSON.parse(output);
+  assert.equal(entry.method, 'POST');
+  assert.equal(entry.url, 'https://shop.example/orders?id=1');
+  assert.equal(entry.status, 502);
+  assert.equal(entry.requestId, 'req-1');
+  assert.equal(entry.correlationId, 'corr-1');
+  assert.equal(entry.error.name, 'Error');
+  assert.equal(entry.error.message, 'payment failed');
+  assert.equal(entry.error.code, 'E_GATEWAY');
+  assert.match(entry.error.stack, /^Error: payment failed\n\s+at /);
+});
+
+test('errorLogMiddleware: includes the cause chain', async () => {
+  const root = new TypeError('socket hang up');
+  const err = new Error('payment failed', {cause: new Error('gateway unreachable', {cause: root})});
+  const {output} = await runWithStdout(errorLogMiddleware({output: 'stdout'}), err);
+
+  const {error} = JSON.parse(output);
+  assert.equal(error.cause.message, 'gateway unreachable');
+  assert.equal(error.cause.cause.name, 'TypeError');
+  assert.equal(error.cause.cause.message, 'socket hang up');
+  assert.equal(error.cause.cause.cause, undefined);
+});
+
+test('errorLogMiddleware: resolves the status like the Express final handler', async () => {
+  const middleware = errorLogMiddleware({output: 'stdout'});
+  const status = async (err, res = mockRes) => JSON.parse((await runWithStdout(middleware, err, mockReq, res)).output).status;
+
+  assert.equal(await status(Object.assign(new Error(), {statusCode: 404})), 404);
+  assert.equal(await status(Object.assign(new Error(), {status: 200})), 500);
+  assert.equal(await status(new Error(), {statusCode: 422}), 422);
+  assert.equal(await status(new Error()), 500);
+  assert.equal(await status('plain string'), 500);
+});
+
+test('errorLogMiddleware: skip and fields', async () => {
+  const middleware = errorLogMiddleware({
+    output: 'stdout',
+    skip: err => err.status === 404,
+    fields: (_err, req) => ({service: 'shop', route: req.originalUrl.split('?')[0]})
+  });
+
+  const skipped = await runWithStdout(middleware, Object.assign(new Error('not found'), {status: 404}));
+  assert.equal(skipped.output, '');
+  assert.equal(skipped.passed.message, 'not found');
+
+  const {output} = await runWithStdout(middleware, new Error('boom'));
+  const entry = JSON.parse(output);
+  assert.equal(entry.service, 'shop');
+  assert.equal(entry.route, '/orders');
+});
+
+test('errorLogMiddleware: serializes BigInts and circular references', async () => {
+  const order = {id: 1n, items: []};
+  order.items.push({order});
+  const shared = {region: 'eu'};
+  const middleware = errorLogMiddleware({
+    output: 'stdout',
+    fields: () => ({order, primary: shared, fallback: shared})
+  });
+
+  const err = Object.assign(new Error('boom'), {code: 42n});
+  const {output, passed} = await runWithStdout(middleware, err);
+  assert.equal(passed, err);
+
+  const entry = JSON.parse(output);
+  assert.equal(entry.error.code, '42');
+  assert.deepEqual(entry.order, {id: '1', items: [{order: '[Circular]'}]});
+  assert.deepEqual(entry.fallback, {region: 'eu'});
+});
+
+test('errorLogMiddleware: writes to a daily error log file', async () => {
+  const logDir = join(tmpDir, 'file-test');
+  const middleware = errorLogMiddleware({output: 'file', path: logDir});
+
+  await new Promise(resolve => middleware(new Error('disk full'), mockReq, mockRes, resolve));
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const [file] = readdirSync(logDir);
+  assert.match(file, /^error_log_\d{4}_\d{2}_\d{2}\.log$/);
+  assert.equal(JSON.parse(readFileSync(join(logDir, file), 'utf-8')).error.message, 'disk full');
+});
+
+test('errorLogMiddleware: passes errors on without logging when enabled is false', async () => {
+  const err = new Error('boom');
+  const {output, passed} = await runWithStdout(errorLogMiddleware({output: 'stdout', enabled: false}), err);
+
+  assert.equal(output, '');
+  assert.equal(passed, err);
+});
+
+test('errorLogMiddleware: throws when output is file but path is missing', () => {
+  assert.throws(
+    () => errorLogMiddleware({output: 'file'}),
+    {message: 'errorLogMiddleware: config.path is required when output="file"'}
+  );
+});
+
+test('errorLogMiddleware: throws on unknown output values', () => {
+  assert.throws(
+    () => errorLogMiddleware({output: 'syslog'}),
+    {message: 'errorLogMiddleware: output must be "file", "stdout" or "stderr", got "syslog"'}
+  );
+});
+
+test('serializeError: describes non-Error values and stops cyclic cause chains', () => {
+  assert.deepEqual(serializeError('boom'), {message: 'boom'});
+  assert.deepEqual(serializeError({reason: 'timeout'}), {message: "{ reason: 'timeout' }"});
+
+  const err = new Error('loop');
+  err.cause = err;
+  let depth = 0;
+  for (let current = serializeError(err); current.cause; current = current.cause) depth++;
+  assert.equal(depth, 10);
+});
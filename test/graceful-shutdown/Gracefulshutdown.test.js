@@ -1,7 +1,7 @@
 import {describe, it} from 'node:test'
 import assert from 'node:assert/strict'
 
-import {gracefulShutdownMiddleware} from '../../dist/graceful-shutdown/gracefulShutdownMiddleware.js'
+import {gracefulShutdownMiddleware, shutdownTimeoutEvent} from '../../dist/graceful-shutdown/gracefulShutdownMiddleware.js'
 import {createShutdownSignal} from '../../dist/graceful-shutdown/utils/createShutdownSignal.js'
 import EventEmitter from "node:events";
 
@@ -139,6 +139,17 @@ describe('gracefulShutdownMiddleware – validation', () => {
       /timeout must be a number/,
     )
   })
+
+  it('throws when beforeDrain is not a function', () => {
+    const {signal} = makeSignal()
+    assert.throws(
+      () => gracefulShutdownMiddleware({
+        signal, onDrain: () => {
+        }, beforeDrain: 'not a function'
+      }),
+      /beforeDrain must be a function/,
+    )
+  })
 })
 
 // ─── forceReject ──────────────────────────────────────────────────────────────
@@ -350,6 +361,31 @@ describe('gracefulShutdownMiddleware – timeout', () => {
     assert.equal(info.pendingRequests, 1)
   })
 
+  it('emits shutdownTimeout on pending responses before onDrain', async () => {
+    const {signal, abort} = makeSignal()
+    const calls = []
+
+    const mw = gracefulShutdownMiddleware({
+      signal,
+      onDrain: () => calls.push('drain'),
+      timeout: 50
+    })
+
+    const pending = mockRes()
+    pending.on(shutdownTimeoutEvent, () => calls.push('pending'))
+    mw(mockReq(), pending, mockNext())
+
+    const closed = mockRes()
+    closed.on(shutdownTimeoutEvent, () => calls.push('closed'))
+    mw(mockReq(), closed, mockNext())
+    closed.emit('close')
+
+    abort()
+    await new Promise(resolve => setTimeout(resolve, 100))
+
+    assert.deepEqual(calls, ['pending', 'drain'])
+  })
+
   it('timeout: -1 drains immediately even with pending requests', async () => {
     const {signal, abort} = makeSignal()
     let info = null
@@ -395,3 +431,97 @@ describe('gracefulShutdownMiddleware – timeout', () => {
     assert.equal(signal.aborted, true)
   })
 })
+
+// ─── beforeDrain ──────────────────────────────────────────────────────────────
+
+describe('gracefulShutdownMiddleware – beforeDrain', () => {
+  it('waits for beforeDrain before onDrain', async () => {
+    const {signal, abort} = makeSignal()
+    const calls = []
+
+    gracefulShutdownMiddleware({
+      signal,
+      beforeDrain: async (info) => {
+        calls.push(['before', info])
+        await new Promise(resolve => setTimeout(resolve, 30))
+        calls.push('flushed')
+      },
+      onDrain: (info) => calls.push(['drain', info])
+    })
+
+    abort()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    assert.deepEqual(calls, [['before', {pendingRequests: 0, isTimeout: false}]])
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.deepEqual(calls, [
+      ['before', {pendingRequests: 0, isTimeout: false}],
+      'flushed',
+      ['drain', {pendingRequests: 0, isTimeout: false}]
+    ])
+  })
+
+  it('calls onDrain when beforeDrain fails', async (t) => {
+    const {signal, abort} = makeSignal()
+    const errorMock = t.mock.method(process.stderr, 'write', () => true)
+    let drained = false
+
+    gracefulShutdownMiddleware({
+      signal,
+      beforeDrain: () => {
+        throw new Error('flush failed')
+      },
+      onDrain: () => drained = true
+    })
+
+    abort()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    assert.equal(drained, true)
+    assert.equal(errorMock.mock.calls[0].arguments[0], 'gracefulShutdownMiddleware: beforeDrain failed: flush failed\n')
+  })
+
+  it('calls onDrain after timeout ms when beforeDrain does not finish', async (t) => {
+    const {signal, abort} = makeSignal()
+    const errorMock = t.mock.method(process.stderr, 'write', () => true)
+    let drained = false
+
+    gracefulShutdownMiddleware({
+      signal,
+      timeout: 30,
+      beforeDrain: () => new Promise(() => {
+      }),
+      onDrain: () => drained = true
+    })
+
+    abort()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    assert.equal(drained, false)
+
+    await new Promise(resolve => setTimeout(resolve, 40))
+    assert.equal(drained, true)
+    assert.equal(errorMock.mock.calls[0].arguments[0], 'gracefulShutdownMiddleware: beforeDrain did not finish within the timeout of 30ms\n')
+  })
+
+  it('bounds beforeDrain by the time the pending requests left of the timeout', async (t) => {
+    const {signal, abort} = makeSignal()
+    t.mock.method(process.stderr, 'write', () => true)
+    let drained = false
+
+    const mw = gracefulShutdownMiddleware({
+      signal,
+      timeout: 60,
+      beforeDrain: () => new Promise(() => {
+      }),
+      onDrain: () => drained = true
+    })
+
+    const res = mockRes()
+    mw(mockReq(), res, mockNext())
+    abort()
+
+    await new Promise(resolve => setTimeout(resolve, 40))
+    res.emit('close')
+    await new Promise(resolve => setTimeout(resolve, 40))
+    assert.equal(drained, true)
+  })
+})
@@ -1,7 +1,9 @@
 import {describe, it} from 'node:test'
 import assert from 'node:assert/strict'
 
-import {applyMiddlewares} from '../../dist/index.js'
+import {applyMiddlewares, HttpSink} from '../../dist/index.js'
+import EventEmitter from 'node:events'
+import http from 'node:http'
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -159,6 +161,52 @@ describe('applyMiddlewares – gracefulShutdown', () => {
   })
 })
 
+describe('applyMiddlewares – gracefulShutdown with an http access log', () => {
+  it('ships buffered log lines before onDrain', async () => {
+    const bodies = []
+    const server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => body += chunk)
+      req.on('end', () => {
+        bodies.push(body)
+        res.end()
+      })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    try {
+      const {signal, abort} = makeSignal()
+      let drained
+      const onDrain = new Promise(resolve => drained = resolve)
+      const mw = applyMiddlewares({
+        signal,
+        onDrain: () => drained(bodies.length),
+        csrf: false,
+        accessLog: {
+          destinations: [
+            {output: 'stderr', skip: () => true},
+            {output: 'http', http: {url: `http://127.0.0.1:${server.address().port}/ingest`, flushInterval: 10000}}
+          ]
+        }
+      })
+
+      const res = Object.assign(new EventEmitter(), {statusCode: 200, locals: {}, getHeader() {}, setHeader() {}})
+      await runMw(mw, mockReq({url: '/orders', originalUrl: '/orders'}), res)
+      res.emit('finish')
+      // morgan writes the line right after the finish event
+      await new Promise(resolve => setImmediate(resolve))
+      res.emit('close')
+
+      abort()
+      assert.equal(await onDrain, 1)
+      assert.equal(JSON.parse(bodies[0]).url, '/orders')
+    } finally {
+      await HttpSink.reset()
+      server.close()
+    }
+  })
+})
+
 // ─── applyMiddlewares – cookieParser ──────────────────────────────────────────
 
 describe('applyMiddlewares – cookieParser', () => {
@@ -227,3 +275,36 @@ describe('applyMiddlewares – middleware order', () => {
     assert.ok(req.requestChain)
   })
 })
+
+// ─── applyMiddlewares – errorHandler ──────────────────────────────────────────
+
+describe('applyMiddlewares – errorHandler', () => {
+  it('logs errors to stderr and passes them on', async () => {
+    const mw = applyMiddlewares({gracefulShutdown: false, csrf: false})
+    let output = ''
+    const originalWrite = process.stderr.write.bind(process.stderr)
+    process.stderr.write = (chunk) => {
+      output += chunk
+      return true
+    }
+
+    const error = new Error('boom')
+    let passed
+    try {
+      mw.errorHandler(error, mockReq({originalUrl: '/fail'}), mockRes(), (err) => passed = err)
+    } finally {
+      process.stderr.write = originalWrite
+    }
+
+    assert.equal(passed, error)
+    assert.equal(JSON.parse(output).error.message, 'boom')
+  })
+
+  it('errorLog: false only passes errors on', () => {
+    const mw = applyMiddlewares({gracefulShutdown: false, csrf: false, errorLog: false})
+    const error = new Error('boom')
+    let passed
+    mw.errorHandler(error, mockReq(), mockRes(), (err) => passed = err)
+    assert.equal(passed, error)
+  })
+})